@@ -0,0 +1,31 @@
+const createGoogleProvider = require('./providers/google');
+const createMockProvider = require('./providers/mock');
+require('dotenv').config();
+
+// A provider implements, where calendar is { refreshToken, calendarId }:
+//   getAuthUrl(state) -> URL of the consent screen, which redirects to /calendar/connect/callback with a code and state
+//   exchangeCode(code) -> { refreshToken, accountEmail }
+//   revoke(calendar)
+//   createEvent(calendar, resource) -> { id, htmlLink, meetingUrl }, resource being a Google Calendar event.
+//     meetingUrl is the link of the meeting created for resource.conferenceData, null without it
+//   updateEvent(calendar, eventId, resource) and deleteEvent(calendar, eventId)
+//   getBusyTimes(calendar, from, to) -> [{ start, end }]
+const providers = {
+  google: createGoogleProvider,
+  mock: createMockProvider,
+};
+
+// CALENDAR_PROVIDER picks the provider. Without it, Google is used when it has a client id.
+function createProvider(name = process.env.CALENDAR_PROVIDER || (process.env.GOOGLE_CLIENT_ID ? 'google' : 'mock')) {
+  if (!providers[name]) {
+    throw new Error(`Unknown calendar provider ${name}. Use one of ${Object.keys(providers).join(', ')}.`);
+  }
+  return providers[name]();
+}
+
+const provider = createProvider();
+
+module.exports = {
+  provider,
+  createProvider,
+};
@@ -0,0 +1,81 @@
+const { google } = require('googleapis');
+require('dotenv').config();
+
+// Google Calendar through the OAuth client of the app. Each call runs with the refresh token of the
+// calendar it targets, the client fetches access tokens as needed.
+function createGoogleProvider() {
+  const redirectUri = process.env.CALENDAR_REDIRECT_URI || `${process.env.APP_URL || 'http://localhost:10000'}/calendar/connect/callback`;
+
+  function createClient(refreshToken = null) {
+    const oAuth2Client = new google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET, redirectUri);
+    if (refreshToken) {
+      oAuth2Client.setCredentials({ refresh_token: refreshToken });
+    }
+    return oAuth2Client;
+  }
+
+  function getCalendarApi({ refreshToken }) {
+    return google.calendar({ version: 'v3', auth: createClient(refreshToken) });
+  }
+
+  return {
+    name: 'google',
+
+    getAuthUrl(state) {
+      return createClient().generateAuthUrl({
+        access_type: 'offline',
+        // Ask for consent every time so Google always returns a refresh token
+        prompt: 'consent',
+        scope: ['https://www.googleapis.com/auth/calendar'],
+        state,
+      });
+    },
+
+    async exchangeCode(code) {
+      const { tokens } = await createClient().getToken(code);
+      if (!tokens.refresh_token) {
+        throw new Error('Google did not return a refresh token');
+      }
+      // The id of the primary calendar is the account's email
+      const calendarResult = await getCalendarApi({ refreshToken: tokens.refresh_token }).calendars.get({ calendarId: 'primary' });
+      return { refreshToken: tokens.refresh_token, accountEmail: calendarResult.data.id };
+    },
+
+    async revoke({ refreshToken }) {
+      await createClient(refreshToken).revokeToken(refreshToken);
+    },
+
+    async createEvent(calendar, resource) {
+      const eventResult = await getCalendarApi(calendar).events.insert({
+        calendarId: calendar.calendarId,
+        resource,
+        sendUpdates: 'all', // Send email invites to all attendees
+        // Needed for Google to create the Meet asked for in conferenceData
+        conferenceDataVersion: resource.conferenceData ? 1 : 0,
+      });
+      return { id: eventResult.data.id, htmlLink: eventResult.data.htmlLink, meetingUrl: eventResult.data.hangoutLink || null };
+    },
+
+    async updateEvent(calendar, eventId, resource) {
+      await getCalendarApi(calendar).events.patch({ calendarId: calendar.calendarId, eventId, resource, sendUpdates: 'all' });
+    },
+
+    async deleteEvent(calendar, eventId) {
+      await getCalendarApi(calendar).events.delete({ calendarId: calendar.calendarId, eventId, sendUpdates: 'all' });
+    },
+
+    async getBusyTimes(calendar, from, to) {
+      const freeBusyResult = await getCalendarApi(calendar).freebusy.query({
+        resource: {
+          timeMin: from.toISOString(),
+          timeMax: to.toISOString(),
+          items: [{ id: calendar.calendarId }],
+        },
+      });
+      const busy = (freeBusyResult.data.calendars[calendar.calendarId] || {}).busy || [];
+      return busy.map((range) => ({ start: new Date(range.start), end: new Date(range.end) }));
+    },
+  };
+}
+
+module.exports = createGoogleProvider;
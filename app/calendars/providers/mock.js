@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Calendar provider that keeps everything in memory, so the connect flow, events and busy times
+// work offline and in tests. Its consent screen is skipped: the auth URL goes straight to the
+// callback with a code. Busy times are set per refresh token with setBusyTimes.
+function createMockProvider() {
+  const baseUrl = process.env.APP_URL || 'http://localhost:10000';
+  const events = new Map();
+  const busyTimes = new Map();
+
+  return {
+    name: 'mock',
+    events,
+
+    getAuthUrl(state) {
+      const code = `mock_code_${crypto.randomBytes(8).toString('hex')}`;
+      return `${baseUrl}/calendar/connect/callback?code=${code}&state=${encodeURIComponent(state)}`;
+    },
+
+    async exchangeCode(code) {
+      return { refreshToken: `mock_refresh_${code.replace(/^mock_code_/, '')}`, accountEmail: 'calendar@mock.local' };
+    },
+
+    async revoke({ refreshToken }) {
+      busyTimes.delete(refreshToken);
+    },
+
+    async createEvent(calendar, resource) {
+      const id = `mock_event_${crypto.randomBytes(8).toString('hex')}`;
+      events.set(id, { ...resource, calendarId: calendar.calendarId, refreshToken: calendar.refreshToken });
+      // Pretend to create the Meet asked for, with a link in Google's format
+      const meetingUrl = resource.conferenceData ? `https://meet.google.com/${crypto.randomBytes(5).toString('hex').replace(/^(.{3})(.{4})(.{3})$/, '$1-$2-$3')}` : null;
+      return { id, htmlLink: `${baseUrl}/mock-calendar/${id}`, meetingUrl };
+    },
+
+    async updateEvent(calendar, eventId, resource) {
+      events.set(eventId, { ...events.get(eventId), ...resource });
+    },
+
+    async deleteEvent(calendar, eventId) {
+      events.delete(eventId);
+    },
+
+    async getBusyTimes(calendar, from, to) {
+      return (busyTimes.get(calendar.refreshToken) || []).filter((range) => range.start < to && range.end > from);
+    },
+
+    // ranges is a list of { start, end } dates
+    setBusyTimes(refreshToken, ranges) {
+      busyTimes.set(refreshToken, ranges);
+    },
+  };
+}
+
+module.exports = createMockProvider;
@@ -0,0 +1,37 @@
+const createJitsiProvider = require('./providers/jitsi');
+const createGoogleMeetProvider = require('./providers/google-meet');
+const createStaticProvider = require('./providers/static');
+require('dotenv').config();
+
+// A provider implements, where speaker is the speaker's users_js row:
+//   createMeeting(speaker) -> URL to join the session, or null when the link comes with the calendar event
+//   getConferenceData() -> conferenceData of the Google Calendar event that creates the meeting,
+//     only for providers whose links come with the event
+const providers = {
+  jitsi: createJitsiProvider(),
+  google_meet: createGoogleMeetProvider(),
+  static: createStaticProvider(),
+};
+
+// Provider of speakers who have not picked one
+const DEFAULT_PROVIDER = process.env.CONFERENCING_PROVIDER || 'jitsi';
+
+// Provider used when the picked one cannot give a link, e.g. a Meet for a speaker without a Google calendar
+const FALLBACK_PROVIDER = 'jitsi';
+
+function getProvider(name = DEFAULT_PROVIDER) {
+  if (!providers[name]) {
+    throw new Error(`Unknown conferencing provider ${name}. Use one of ${Object.keys(providers).join(', ')}.`);
+  }
+  return providers[name];
+}
+
+// Fail at startup on a misspelled CONFERENCING_PROVIDER
+getProvider();
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(providers),
+  DEFAULT_PROVIDER,
+  FALLBACK_PROVIDER,
+  getProvider,
+};
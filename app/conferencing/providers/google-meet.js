@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Google Meet links are created by Google Calendar along with the session's event, so there is no
+// link yet when the booking is confirmed. The calendar provider returns it as the event's meetingUrl.
+function createGoogleMeetProvider() {
+  return {
+    name: 'google_meet',
+
+    createMeeting() {
+      return null;
+    },
+
+    getConferenceData() {
+      return {
+        createRequest: {
+          requestId: crypto.randomUUID(),
+          conferenceSolutionKey: { type: 'hangoutsMeet' },
+        },
+      };
+    },
+  };
+}
+
+module.exports = createGoogleMeetProvider;
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Rooms on a Jitsi Meet server, meet.jit.si unless JITSI_BASE_URL names a self-hosted one.
+// Jitsi creates a room when the first person joins, so a random, unguessable name is all it takes.
+function createJitsiProvider() {
+  const baseUrl = (process.env.JITSI_BASE_URL || 'https://meet.jit.si').replace(/\/+$/, '');
+
+  return {
+    name: 'jitsi',
+
+    createMeeting() {
+      return `${baseUrl}/session-${crypto.randomBytes(12).toString('hex')}`;
+    },
+  };
+}
+
+module.exports = createJitsiProvider;
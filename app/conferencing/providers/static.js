@@ -0,0 +1,13 @@
+// The speaker's own meeting room, e.g. a personal Zoom link, set as meeting_link on their profile
+// and used for all of their sessions
+function createStaticProvider() {
+  return {
+    name: 'static',
+
+    createMeeting(speaker) {
+      return speaker.meeting_link || null;
+    },
+  };
+}
+
+module.exports = createStaticProvider;
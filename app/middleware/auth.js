@@ -0,0 +1,54 @@
+const { verifyToken } = require('../utility/auth-token');
+
+// Access token from an "Authorization: Bearer <token>" header, or else the token cookie
+function getToken(req) {
+  const header = req.get('authorization');
+  if (header && /^bearer /i.test(header)) {
+    return header.slice(7).trim();
+  }
+  return req.cookies.token;
+}
+
+// Rejects requests without a valid, unrevoked access token and requests of suspended accounts.
+// Attaches the signed in account to req.user as { email, user_type, status, time_zone, session_id }.
+async function authenticate(req, res, next) {
+  const token = getToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  try {
+    req.user = await verifyToken(token);
+  } catch (error) {
+    // jwt.verify throws JsonWebTokenError and its subclasses TokenExpiredError and NotBeforeError
+    if (['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError'].includes(error.name)) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    console.error(error);
+    return res.status(500).json({ error: 'Failed to authenticate' });
+  }
+
+  if (req.user.status === 'suspended') {
+    return res.status(403).json({ error: 'Account suspended' });
+  }
+  next();
+}
+
+// Only lets accounts of the given types through. Use after authenticate.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    if (!roles.includes(req.user.user_type)) {
+      return res.status(403).json({ error: `This action requires a ${roles.join(' or ')} account` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  getToken,
+  authenticate,
+  requireRole,
+};
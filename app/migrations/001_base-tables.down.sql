@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS bookings;
+DROP TABLE IF EXISTS otps;
+DROP TABLE IF EXISTS users_js;
@@ -0,0 +1,26 @@
+-- Tables the app started with: accounts, registration OTPs and bookings of hourly slots. The
+-- migrations after this one change them the way the app grew.
+CREATE TABLE IF NOT EXISTS users_js (
+  email VARCHAR(255) PRIMARY KEY,
+  password TEXT NOT NULL,
+  -- user or speaker, admin since 013
+  user_type VARCHAR(20) NOT NULL,
+  expertise TEXT,
+  price_per_session NUMERIC(10, 2)
+);
+
+CREATE TABLE IF NOT EXISTS otps (
+  email VARCHAR(255) NOT NULL,
+  otp VARCHAR(10) NOT NULL
+);
+
+-- slot numbers the hourly slots of a day from 0 for 9 a.m. to 7 for 4 p.m., India time
+CREATE TABLE IF NOT EXISTS bookings (
+  id SERIAL PRIMARY KEY,
+  user_email VARCHAR(255) NOT NULL REFERENCES users_js(email),
+  speaker_email VARCHAR(255) NOT NULL REFERENCES users_js(email),
+  session_date TIMESTAMP NOT NULL,
+  slot INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS bookings_user_email_idx ON bookings (user_email, session_date);
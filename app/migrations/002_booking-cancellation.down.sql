@@ -0,0 +1,4 @@
+ALTER TABLE bookings DROP COLUMN IF EXISTS calendar_event_link;
+ALTER TABLE bookings DROP COLUMN IF EXISTS cancelled_by;
+ALTER TABLE bookings DROP COLUMN IF EXISTS cancelled_at;
+ALTER TABLE bookings DROP COLUMN IF EXISTS calendar_event_id;
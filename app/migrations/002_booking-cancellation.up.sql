@@ -0,0 +1,5 @@
+-- Columns used by booking cancellation, rescheduling and listing
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_event_id TEXT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(255);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_event_link TEXT;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS speaker_blackouts;
+DROP TABLE IF EXISTS speaker_working_hours;
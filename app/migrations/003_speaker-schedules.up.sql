@@ -0,0 +1,21 @@
+-- Weekly working hours per weekday (0 = Sunday), a row without hours is a day off
+CREATE TABLE IF NOT EXISTS speaker_working_hours (
+  speaker_email VARCHAR(255) NOT NULL REFERENCES users_js(email) ON DELETE CASCADE,
+  weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+  start_hour SMALLINT CHECK (start_hour BETWEEN 0 AND 23),
+  end_hour SMALLINT CHECK (end_hour BETWEEN 1 AND 24),
+  PRIMARY KEY (speaker_email, weekday),
+  CHECK (start_hour < end_hour)
+);
+
+-- One-off date ranges in which a speaker takes no sessions
+CREATE TABLE IF NOT EXISTS speaker_blackouts (
+  id SERIAL PRIMARY KEY,
+  speaker_email VARCHAR(255) NOT NULL REFERENCES users_js(email) ON DELETE CASCADE,
+  starts_at TIMESTAMP NOT NULL,
+  ends_at TIMESTAMP NOT NULL,
+  reason TEXT,
+  CHECK (starts_at < ends_at)
+);
+
+CREATE INDEX IF NOT EXISTS speaker_blackouts_speaker_email_idx ON speaker_blackouts (speaker_email, ends_at);
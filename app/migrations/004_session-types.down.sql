@@ -0,0 +1,13 @@
+-- Bookings go back to hourly slots, numbered from 0 for 9 a.m. in the speaker's time zone. Reverting
+-- 005_time-zones already turned session_date back into India wall clock time, the time zone of every
+-- speaker back then, so its hour is the speaker's local hour.
+DROP INDEX IF EXISTS bookings_speaker_email_range_idx;
+UPDATE bookings SET slot = EXTRACT(HOUR FROM session_date) - 9 WHERE slot IS NULL;
+ALTER TABLE bookings ALTER COLUMN slot SET NOT NULL;
+ALTER TABLE bookings DROP COLUMN IF EXISTS blocked_until;
+ALTER TABLE bookings DROP COLUMN IF EXISTS session_end;
+ALTER TABLE bookings DROP COLUMN IF EXISTS session_type_id;
+
+ALTER TABLE users_js DROP COLUMN IF EXISTS slot_length_minutes;
+
+DROP TABLE IF EXISTS session_types;
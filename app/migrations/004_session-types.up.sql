@@ -0,0 +1,27 @@
+-- Session lengths, prices and buffers offered by each speaker
+CREATE TABLE IF NOT EXISTS session_types (
+  id SERIAL PRIMARY KEY,
+  speaker_email VARCHAR(255) NOT NULL REFERENCES users_js(email) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  duration_minutes SMALLINT NOT NULL CHECK (duration_minutes BETWEEN 15 AND 240),
+  price NUMERIC(10, 2) NOT NULL CHECK (price >= 0),
+  buffer_minutes SMALLINT NOT NULL DEFAULT 0 CHECK (buffer_minutes BETWEEN 0 AND 120),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS session_types_speaker_email_idx ON session_types (speaker_email);
+
+-- Minutes between possible session start times
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS slot_length_minutes SMALLINT;
+
+-- Bookings cover a time range instead of an hourly slot number
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS session_type_id INTEGER REFERENCES session_types(id);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS session_end TIMESTAMP;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS blocked_until TIMESTAMP;
+UPDATE bookings SET session_end = session_date + INTERVAL '1 hour', blocked_until = session_date + INTERVAL '1 hour' WHERE session_end IS NULL;
+ALTER TABLE bookings ALTER COLUMN session_end SET NOT NULL;
+ALTER TABLE bookings ALTER COLUMN blocked_until SET NOT NULL;
+ALTER TABLE bookings ALTER COLUMN slot DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS bookings_speaker_email_range_idx ON bookings (speaker_email, session_date, blocked_until);
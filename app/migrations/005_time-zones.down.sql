@@ -0,0 +1,11 @@
+-- Back to India wall clock times
+ALTER TABLE session_types ALTER COLUMN archived_at TYPE TIMESTAMP;
+ALTER TABLE session_types ALTER COLUMN created_at TYPE TIMESTAMP;
+ALTER TABLE speaker_blackouts ALTER COLUMN ends_at TYPE TIMESTAMP USING ends_at AT TIME ZONE 'Asia/Kolkata';
+ALTER TABLE speaker_blackouts ALTER COLUMN starts_at TYPE TIMESTAMP USING starts_at AT TIME ZONE 'Asia/Kolkata';
+ALTER TABLE bookings ALTER COLUMN cancelled_at TYPE TIMESTAMP;
+ALTER TABLE bookings ALTER COLUMN blocked_until TYPE TIMESTAMP USING blocked_until AT TIME ZONE 'Asia/Kolkata';
+ALTER TABLE bookings ALTER COLUMN session_end TYPE TIMESTAMP USING session_end AT TIME ZONE 'Asia/Kolkata';
+ALTER TABLE bookings ALTER COLUMN session_date TYPE TIMESTAMP USING session_date AT TIME ZONE 'Asia/Kolkata';
+
+ALTER TABLE users_js DROP COLUMN IF EXISTS time_zone;
@@ -0,0 +1,12 @@
+-- IANA time zone of each account
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'Asia/Kolkata';
+
+-- Store sessions as UTC instants. Existing values were written as India wall clock time.
+ALTER TABLE bookings ALTER COLUMN session_date TYPE TIMESTAMPTZ USING session_date AT TIME ZONE 'Asia/Kolkata';
+ALTER TABLE bookings ALTER COLUMN session_end TYPE TIMESTAMPTZ USING session_end AT TIME ZONE 'Asia/Kolkata';
+ALTER TABLE bookings ALTER COLUMN blocked_until TYPE TIMESTAMPTZ USING blocked_until AT TIME ZONE 'Asia/Kolkata';
+ALTER TABLE bookings ALTER COLUMN cancelled_at TYPE TIMESTAMPTZ;
+ALTER TABLE speaker_blackouts ALTER COLUMN starts_at TYPE TIMESTAMPTZ USING starts_at AT TIME ZONE 'Asia/Kolkata';
+ALTER TABLE speaker_blackouts ALTER COLUMN ends_at TYPE TIMESTAMPTZ USING ends_at AT TIME ZONE 'Asia/Kolkata';
+ALTER TABLE session_types ALTER COLUMN created_at TYPE TIMESTAMPTZ;
+ALTER TABLE session_types ALTER COLUMN archived_at TYPE TIMESTAMPTZ;
@@ -0,0 +1,5 @@
+-- Holds were never bookings. btree_gist stays installed, other databases on the server may use it.
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+DELETE FROM bookings WHERE status = 'held';
+ALTER TABLE bookings DROP COLUMN IF EXISTS hold_expires_at;
+ALTER TABLE bookings DROP COLUMN IF EXISTS status;
@@ -0,0 +1,25 @@
+-- Held slots are bookings waiting for the user to confirm them
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'confirmed';
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS hold_expires_at TIMESTAMPTZ;
+
+-- Double bookings made before the constraint below would make adding it fail with no hint which rows
+-- are to blame. Stop with the list instead, so they can be cancelled by hand before running it again.
+DO $$
+DECLARE
+  found_overlaps TEXT;
+BEGIN
+  SELECT string_agg(format('%s and %s of %s', a.id, b.id, a.speaker_email), ', ' ORDER BY a.id, b.id) INTO found_overlaps
+  FROM bookings a
+  JOIN bookings b ON b.speaker_email = a.speaker_email AND b.id > a.id
+  WHERE a.cancelled_at IS NULL AND b.cancelled_at IS NULL
+    AND tstzrange(a.session_date, a.blocked_until) && tstzrange(b.session_date, b.blocked_until);
+  IF found_overlaps IS NOT NULL THEN
+    RAISE EXCEPTION 'Active bookings overlap: %. Cancel one booking of each pair and migrate again.', found_overlaps;
+  END IF;
+END $$;
+
+-- A speaker can never have two active bookings or holds whose time ranges, buffers included, overlap
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+ALTER TABLE bookings ADD CONSTRAINT bookings_no_overlap
+  EXCLUDE USING gist (speaker_email WITH =, tstzrange(session_date, blocked_until) WITH &&)
+  WHERE (cancelled_at IS NULL);
@@ -0,0 +1,8 @@
+-- Reminders already sent for a booking, one row per offset. The primary key makes sure
+-- each reminder is claimed by exactly one scheduler run, across restarts and instances.
+CREATE TABLE IF NOT EXISTS booking_reminders (
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  offset_minutes INTEGER NOT NULL,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (booking_id, offset_minutes)
+);
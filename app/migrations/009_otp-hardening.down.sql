@@ -0,0 +1,13 @@
+-- Hashed codes cannot be turned back into plain ones, pending codes have to be requested again
+DELETE FROM otps;
+DROP INDEX IF EXISTS otps_ip_idx;
+DROP INDEX IF EXISTS otps_email_idx;
+ALTER TABLE otps DROP COLUMN IF EXISTS consumed_at;
+ALTER TABLE otps DROP COLUMN IF EXISTS expires_at;
+ALTER TABLE otps DROP COLUMN IF EXISTS created_at;
+ALTER TABLE otps DROP COLUMN IF EXISTS attempts;
+ALTER TABLE otps DROP COLUMN IF EXISTS requester_ip;
+ALTER TABLE otps DROP COLUMN IF EXISTS otp_hash;
+ALTER TABLE otps DROP COLUMN IF EXISTS purpose;
+ALTER TABLE otps DROP COLUMN IF EXISTS id;
+ALTER TABLE otps ADD COLUMN IF NOT EXISTS otp VARCHAR(10) NOT NULL;
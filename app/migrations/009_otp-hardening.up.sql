@@ -0,0 +1,15 @@
+-- One-time codes are stored hashed, expire, count failed guesses and belong to a flow.
+-- Plain text codes from before this change can no longer be verified.
+DELETE FROM otps;
+ALTER TABLE otps DROP COLUMN IF EXISTS otp;
+ALTER TABLE otps ADD COLUMN IF NOT EXISTS id SERIAL;
+ALTER TABLE otps ADD COLUMN IF NOT EXISTS purpose VARCHAR(30) NOT NULL DEFAULT 'registration';
+ALTER TABLE otps ADD COLUMN IF NOT EXISTS otp_hash TEXT NOT NULL;
+ALTER TABLE otps ADD COLUMN IF NOT EXISTS requester_ip VARCHAR(64);
+ALTER TABLE otps ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE otps ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE otps ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE otps ADD COLUMN IF NOT EXISTS consumed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS otps_email_idx ON otps (email, purpose, created_at);
+CREATE INDEX IF NOT EXISTS otps_ip_idx ON otps (requester_ip, created_at);
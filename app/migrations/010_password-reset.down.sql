@@ -0,0 +1 @@
+ALTER TABLE users_js DROP COLUMN IF EXISTS session_version;
@@ -0,0 +1,2 @@
+-- Login tokens carry this version, bumping it signs the account out everywhere
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS session_version INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS auth_sessions;
+
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS session_version INTEGER NOT NULL DEFAULT 0;
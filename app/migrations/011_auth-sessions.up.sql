@@ -0,0 +1,19 @@
+-- One row per signed in device. Access tokens name their session, so revoking the row
+-- rejects them on the next request. Refresh tokens are stored hashed and rotate on use.
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id SERIAL PRIMARY KEY,
+  user_email VARCHAR(255) NOT NULL,
+  refresh_token_hash TEXT,
+  previous_token_hash TEXT,
+  user_agent TEXT,
+  ip VARCHAR(64),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS auth_sessions_user_idx ON auth_sessions (user_email) WHERE revoked_at IS NULL;
+
+-- Sessions replace the per-account session version used to sign out everywhere
+ALTER TABLE users_js DROP COLUMN IF EXISTS session_version;
@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS backup_codes;
+
+ALTER TABLE users_js DROP COLUMN IF EXISTS totp_locked_until;
+ALTER TABLE users_js DROP COLUMN IF EXISTS totp_failed_attempts;
+ALTER TABLE users_js DROP COLUMN IF EXISTS totp_last_step;
+ALTER TABLE users_js DROP COLUMN IF EXISTS totp_enabled;
+ALTER TABLE users_js DROP COLUMN IF EXISTS totp_secret;
@@ -0,0 +1,17 @@
+-- Optional TOTP two-factor authentication. totp_secret is set during enrolment and only
+-- checked at login once totp_enabled is true.
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS totp_failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS totp_locked_until TIMESTAMPTZ;
+
+-- Single-use codes for signing in without the authenticator app, stored hashed
+CREATE TABLE IF NOT EXISTS backup_codes (
+  id SERIAL PRIMARY KEY,
+  user_email VARCHAR(255) NOT NULL,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS backup_codes_user_idx ON backup_codes (user_email) WHERE used_at IS NULL;
@@ -0,0 +1,7 @@
+-- Admin accounts keep their user_type, revert them by hand if needed
+ALTER TABLE users_js DROP COLUMN IF EXISTS created_at;
+ALTER TABLE users_js DROP COLUMN IF EXISTS approved_by;
+ALTER TABLE users_js DROP COLUMN IF EXISTS approved_at;
+ALTER TABLE users_js DROP COLUMN IF EXISTS suspended_reason;
+ALTER TABLE users_js DROP COLUMN IF EXISTS suspended_at;
+ALTER TABLE users_js DROP COLUMN IF EXISTS status;
@@ -0,0 +1,12 @@
+-- Account moderation. Suspended accounts cannot sign in or book, and speakers are only listed
+-- and bookable once an admin approved them. Admin accounts are created with npm run create-admin.
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active';
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS suspended_reason TEXT;
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS approved_at TIMESTAMPTZ;
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS approved_by VARCHAR(255);
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Speakers who registered before approvals existed stay listed
+UPDATE users_js SET approved_at = NOW(), approved_by = 'migration'
+WHERE user_type = 'speaker' AND approved_at IS NULL;
@@ -0,0 +1,9 @@
+DROP INDEX IF EXISTS users_js_languages_idx;
+DROP INDEX IF EXISTS users_js_tags_idx;
+
+ALTER TABLE users_js DROP COLUMN IF EXISTS currency;
+ALTER TABLE users_js DROP COLUMN IF EXISTS photo_url;
+ALTER TABLE users_js DROP COLUMN IF EXISTS languages;
+ALTER TABLE users_js DROP COLUMN IF EXISTS tags;
+ALTER TABLE users_js DROP COLUMN IF EXISTS bio;
+ALTER TABLE users_js DROP COLUMN IF EXISTS display_name;
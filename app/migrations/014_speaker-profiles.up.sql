@@ -0,0 +1,10 @@
+-- Structured speaker profiles, searched by GET /speakers. Tags and languages are stored lowercase.
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS display_name VARCHAR(100);
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS bio TEXT;
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS languages TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS photo_url TEXT;
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'INR';
+
+CREATE INDEX IF NOT EXISTS users_js_tags_idx ON users_js USING GIN (tags);
+CREATE INDEX IF NOT EXISTS users_js_languages_idx ON users_js USING GIN (languages);
@@ -0,0 +1,14 @@
+-- Attendee reviews of past sessions, one per booking, with one public reply from the speaker
+CREATE TABLE IF NOT EXISTS reviews (
+  id SERIAL PRIMARY KEY,
+  booking_id INTEGER NOT NULL UNIQUE REFERENCES bookings(id) ON DELETE CASCADE,
+  user_email VARCHAR(255) NOT NULL,
+  speaker_email VARCHAR(255) NOT NULL,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  review TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reply TEXT,
+  replied_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS reviews_speaker_idx ON reviews (speaker_email, created_at DESC);
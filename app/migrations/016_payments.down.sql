@@ -0,0 +1,3 @@
+-- Bookings still waiting for their payment were never confirmed
+DROP TABLE IF EXISTS payments;
+DELETE FROM bookings WHERE status = 'pending_payment';
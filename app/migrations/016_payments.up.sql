@@ -0,0 +1,21 @@
+-- Payments of paid sessions. Paid bookings wait in status 'pending_payment' until the provider's
+-- webhook confirms them, and free their slot once hold_expires_at passes unpaid.
+CREATE TABLE IF NOT EXISTS payments (
+  id SERIAL PRIMARY KEY,
+  booking_id INTEGER NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  provider VARCHAR(20) NOT NULL,
+  provider_payment_id VARCHAR(255) UNIQUE,
+  checkout_url TEXT,
+  amount NUMERIC(10, 2) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  -- pending, succeeded, failed, expired, refund_pending, refunded
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  receipt_number VARCHAR(30) UNIQUE,
+  paid_at TIMESTAMPTZ,
+  refund_amount NUMERIC(10, 2),
+  provider_refund_id VARCHAR(255),
+  refunded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS payments_booking_idx ON payments (booking_id);
@@ -0,0 +1,27 @@
+-- Refunds go back onto their payment, summed when a payment had several
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refund_amount NUMERIC(10, 2);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider_refund_id VARCHAR(255);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMPTZ;
+UPDATE payments p SET
+  refund_amount = r.amount,
+  provider_refund_id = r.provider_refund_id,
+  refunded_at = r.refunded_at,
+  status = CASE WHEN r.pending THEN 'refund_pending' ELSE 'refunded' END
+FROM (
+  SELECT payment_id, SUM(amount) AS amount, MAX(provider_refund_id) AS provider_refund_id,
+    MAX(refunded_at) AS refunded_at, BOOL_OR(status = 'pending') AS pending
+  FROM refunds GROUP BY payment_id
+) r
+WHERE r.payment_id = p.id;
+DELETE FROM outbox WHERE kind = 'payment.refund' AND status = 'pending' AND payload ? 'refund_id';
+DROP TABLE IF EXISTS refunds;
+
+-- Series payments have no booking to go back to
+DELETE FROM payments WHERE series_id IS NOT NULL;
+ALTER TABLE payments DROP COLUMN IF EXISTS series_id;
+ALTER TABLE payments ALTER COLUMN booking_id SET NOT NULL;
+
+-- Sessions of a series stay as single bookings
+ALTER TABLE bookings DROP COLUMN IF EXISTS series_occurrence;
+ALTER TABLE bookings DROP COLUMN IF EXISTS series_id;
+DROP TABLE IF EXISTS booking_series;
@@ -0,0 +1,54 @@
+-- Recurring bookings. A series repeats every interval_weeks at the same wall clock time in the
+-- speaker's time zone, for occurrences sessions starting at first_session_date. Each session is a
+-- booking with series_id set and series_occurrence holding its start in the series, which stays
+-- the same when that one session is rescheduled.
+CREATE TABLE IF NOT EXISTS booking_series (
+  id SERIAL PRIMARY KEY,
+  user_email VARCHAR(255) NOT NULL,
+  speaker_email VARCHAR(255) NOT NULL,
+  session_type_id INTEGER REFERENCES session_types(id),
+  interval_weeks INTEGER NOT NULL CHECK (interval_weeks IN (1, 2)),
+  first_session_date TIMESTAMPTZ NOT NULL,
+  occurrences INTEGER NOT NULL,
+  time_zone VARCHAR(64) NOT NULL,
+  calendar_event_id TEXT,
+  calendar_event_link TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES booking_series(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS series_occurrence TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS bookings_series_idx ON bookings (series_id);
+
+-- A series is paid for with one payment, which has series_id set instead of booking_id
+ALTER TABLE payments ALTER COLUMN booking_id DROP NOT NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES booking_series(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS payments_series_idx ON payments (series_id);
+
+-- Sessions of a series are cancelled one by one, so a payment can have several refunds
+CREATE TABLE IF NOT EXISTS refunds (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  booking_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+  amount NUMERIC(10, 2) NOT NULL,
+  -- pending, refunded
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  provider_refund_id VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  refunded_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS refunds_payment_idx ON refunds (payment_id);
+
+-- Move the refunds recorded on payments, which stay succeeded from now on
+INSERT INTO refunds (payment_id, booking_id, amount, status, provider_refund_id, refunded_at)
+SELECT id, booking_id, refund_amount, CASE WHEN status = 'refunded' THEN 'refunded' ELSE 'pending' END, provider_refund_id, refunded_at
+FROM payments WHERE refund_amount IS NOT NULL;
+UPDATE payments SET status = 'succeeded' WHERE status IN ('refund_pending', 'refunded');
+ALTER TABLE payments DROP COLUMN IF EXISTS refund_amount;
+ALTER TABLE payments DROP COLUMN IF EXISTS provider_refund_id;
+ALTER TABLE payments DROP COLUMN IF EXISTS refunded_at;
+
+-- Refunds still waiting for the provider are queued again by refund id
+INSERT INTO outbox (kind, payload)
+SELECT 'payment.refund', jsonb_build_object('refund_id', id) FROM refunds WHERE status = 'pending';
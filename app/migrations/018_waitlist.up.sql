@@ -0,0 +1,28 @@
+-- Users waiting for a taken slot with a speaker, or for any slot on one day (day_start to day_end,
+-- a calendar day in time_zone). When a slot frees up the oldest matching entry is offered it: the
+-- slot is held for the user until offer_expires_at and claimed through the emailed link.
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+  id SERIAL PRIMARY KEY,
+  user_email VARCHAR(255) NOT NULL,
+  speaker_email VARCHAR(255) NOT NULL,
+  session_type_id INTEGER REFERENCES session_types(id) ON DELETE CASCADE,
+  slot_start TIMESTAMPTZ,
+  day_start TIMESTAMPTZ,
+  day_end TIMESTAMPTZ,
+  time_zone VARCHAR(64) NOT NULL,
+  -- waiting, offered, claimed, expired, left
+  status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+  hold_id INTEGER REFERENCES bookings(id) ON DELETE SET NULL,
+  claim_token_hash TEXT UNIQUE,
+  offered_at TIMESTAMPTZ,
+  offer_expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((slot_start IS NULL) <> (day_start IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS waitlist_entries_speaker_idx ON waitlist_entries (speaker_email, created_at) WHERE status = 'waiting';
+
+-- One open entry per user for the same slot or day
+CREATE UNIQUE INDEX IF NOT EXISTS waitlist_entries_open_idx
+  ON waitlist_entries (user_email, speaker_email, COALESCE(slot_start, day_start))
+  WHERE status IN ('waiting', 'offered');
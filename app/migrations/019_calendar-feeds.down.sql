@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS users_js_calendar_feed_token_idx;
+
+ALTER TABLE users_js DROP COLUMN IF EXISTS calendar_feed_created_at;
+ALTER TABLE users_js DROP COLUMN IF EXISTS calendar_feed_token_hash;
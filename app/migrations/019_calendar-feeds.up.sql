@@ -0,0 +1,6 @@
+-- Private iCalendar subscription of each account. The feed URL carries a random token, only its
+-- hash is stored, and resetting the token turns off the old URL.
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS calendar_feed_token_hash TEXT;
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS calendar_feed_created_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_js_calendar_feed_token_idx ON users_js (calendar_feed_token_hash);
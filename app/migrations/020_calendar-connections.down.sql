@@ -0,0 +1,6 @@
+-- Events on speakers' own calendars stay there, the app forgets them
+ALTER TABLE booking_series DROP COLUMN IF EXISTS calendar_owner;
+ALTER TABLE bookings DROP COLUMN IF EXISTS calendar_owner;
+
+DROP TABLE IF EXISTS calendar_busy_times;
+DROP TABLE IF EXISTS calendar_connections;
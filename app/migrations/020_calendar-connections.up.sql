@@ -0,0 +1,26 @@
+-- Calendars speakers connected through the in-app OAuth flow, one per speaker. Refresh tokens are
+-- encrypted with TOKEN_ENCRYPTION_KEY.
+CREATE TABLE IF NOT EXISTS calendar_connections (
+  speaker_email VARCHAR(255) PRIMARY KEY REFERENCES users_js(email) ON DELETE CASCADE,
+  provider VARCHAR(20) NOT NULL,
+  account_email VARCHAR(255),
+  calendar_id VARCHAR(255) NOT NULL DEFAULT 'primary',
+  refresh_token_encrypted TEXT NOT NULL,
+  connected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  busy_synced_at TIMESTAMPTZ,
+  last_error TEXT
+);
+
+-- Busy times imported from the free/busy of connected calendars, kept out of the speaker's availability
+CREATE TABLE IF NOT EXISTS calendar_busy_times (
+  id SERIAL PRIMARY KEY,
+  speaker_email VARCHAR(255) NOT NULL REFERENCES users_js(email) ON DELETE CASCADE,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS calendar_busy_times_speaker_idx ON calendar_busy_times (speaker_email, ends_at);
+
+-- Speaker whose connected calendar holds the event, NULL for the app's shared Google account
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS calendar_owner VARCHAR(255);
+ALTER TABLE booking_series ADD COLUMN IF NOT EXISTS calendar_owner VARCHAR(255);
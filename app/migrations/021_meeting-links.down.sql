@@ -0,0 +1,5 @@
+ALTER TABLE users_js DROP COLUMN IF EXISTS meeting_link;
+ALTER TABLE users_js DROP COLUMN IF EXISTS meeting_provider;
+
+ALTER TABLE bookings DROP COLUMN IF EXISTS meeting_url;
+ALTER TABLE bookings DROP COLUMN IF EXISTS meeting_provider;
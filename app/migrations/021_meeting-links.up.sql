@@ -0,0 +1,8 @@
+-- Online meeting of each booking. meeting_provider is the conferencing provider the link comes from,
+-- meeting_url stays empty while a Google Meet waits for its calendar event.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS meeting_provider VARCHAR(20);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS meeting_url TEXT;
+
+-- Provider each speaker picked for their sessions, empty for the default, and their own static link
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS meeting_provider VARCHAR(20);
+ALTER TABLE users_js ADD COLUMN IF NOT EXISTS meeting_link TEXT;
@@ -0,0 +1,4 @@
+-- When each booking was made. Reviews are only taken for sessions booked before they started.
+-- Bookings made before this migration keep an empty created_at, as their booking time is unknown.
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ;
+ALTER TABLE bookings ALTER COLUMN created_at SET DEFAULT NOW();
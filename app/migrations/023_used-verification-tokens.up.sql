@@ -0,0 +1,6 @@
+-- Ids of verification tokens that were exchanged, so each token works once. Rows are dropped once
+-- the token would have expired anyway.
+CREATE TABLE IF NOT EXISTS used_verification_tokens (
+  jti UUID PRIMARY KEY,
+  expires_at TIMESTAMPTZ NOT NULL
+);
@@ -0,0 +1,92 @@
+const { getTimeZones } = require('../utility/accounts');
+const { formatReadable } = require('../utility/datetime');
+const { buildEvent, buildCalendar } = require('../utility/ics');
+const { isWaitingForMeeting } = require('../utility/meetings');
+const { renderTemplate } = require('./templates');
+
+// Calendar method of the attached invite for each template
+const INVITE_METHODS = {
+  'booking-confirmed': 'REQUEST',
+  'booking-rescheduled': 'REQUEST',
+  'session-reminder': 'REQUEST',
+  'booking-cancelled': 'CANCEL',
+  'series-confirmed': 'REQUEST',
+  'series-cancelled': 'CANCEL',
+  'meeting-link': 'REQUEST',
+};
+
+async function getSessionInfo(db, booking) {
+  const infoResult = await db.query(
+    `SELECT COALESCE(s.display_name, s.email) AS speaker_name, s.expertise, s.currency,
+       t.name AS session_type, COALESCE(t.price, s.price_per_session) AS price
+     FROM users_js s
+     LEFT JOIN session_types t ON t.id = $2
+     WHERE s.email = $1`,
+    [booking.speaker_email, booking.session_type_id]
+  );
+  return infoResult.rows[0] || {};
+}
+
+// Renders a booking email for the user and the speaker, each with the session time in their own
+// time zone and an .ics invite attached. extra is passed on to the template, e.g. { cancelled_by }.
+// Series emails cover several sessions: extra.bookings lists them, extra.skipped_dates gives the
+// series dates that were not booked and extra.recurrence makes the invite the whole recurring event.
+async function buildBookingEmails(db, template, booking, extra = {}) {
+  const { bookings = [booking], skipped_dates: skippedDates = [], recurrence = null, ...data } = extra;
+  const info = await getSessionInfo(db, booking);
+  const timeZones = await getTimeZones([booking.user_email, booking.speaker_email]);
+  const sessionType = info.session_type || 'Session';
+  const speakerName = info.speaker_name || booking.speaker_email;
+  const sessionDate = new Date(booking.session_date);
+
+  // Later invites for the same booking must carry a higher sequence to replace the earlier ones
+  const method = INVITE_METHODS[template];
+  const eventOptions = {
+    summary: `${sessionType} with ${speakerName}`,
+    description: `Session between ${booking.user_email} and ${booking.speaker_email}`,
+    sequence: Math.floor(Date.now() / 1000),
+  };
+  const invite = buildCalendar(
+    recurrence ? [buildEvent(booking, { ...eventOptions, recurrence })] : bookings.map((item) => buildEvent(item, eventOptions)),
+    { method }
+  );
+
+  return [
+    { recipient: 'user', email: booking.user_email, counterpart: booking.speaker_email },
+    { recipient: 'speaker', email: booking.speaker_email, counterpart: booking.user_email },
+  ].map(({ recipient, email, counterpart }) => {
+    const timeZone = timeZones.get(email);
+    const content = renderTemplate(template, {
+      recipient,
+      recipient_email: email,
+      counterpart_email: counterpart,
+      speaker_name: speakerName,
+      expertise: info.expertise,
+      session_type: sessionType,
+      local_time: formatReadable(sessionDate, timeZone),
+      duration_minutes: Math.round((new Date(booking.session_end) - sessionDate) / 60000),
+      price: info.price != null ? `${info.price} ${info.currency}` : null,
+      local_times: bookings.map((item) => formatReadable(new Date(item.session_date), timeZone)),
+      skipped_local_times: skippedDates.map((date) => formatReadable(new Date(date), timeZone)),
+      ...data,
+      previous_local_time: data.previous_session_date ? formatReadable(new Date(data.previous_session_date), timeZone) : undefined,
+      // Cancelled sessions have nothing left to join
+      meeting_url: method === 'CANCEL' ? null : booking.meeting_url,
+      meeting_pending: method !== 'CANCEL' && isWaitingForMeeting(booking),
+    });
+
+    return {
+      to: email,
+      ...content,
+      attachments: [{
+        filename: 'invite.ics',
+        content: invite,
+        contentType: `text/calendar; charset=utf-8; method=${method}`,
+      }],
+    };
+  });
+}
+
+module.exports = {
+  buildBookingEmails,
+};
@@ -0,0 +1,36 @@
+const createSendgridTransport = require('./transports/sendgrid');
+const createSmtpTransport = require('./transports/smtp');
+const createFileTransport = require('./transports/file');
+const createMemoryTransport = require('./transports/memory');
+require('dotenv').config();
+
+const transports = {
+  sendgrid: createSendgridTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+// NOTIFICATION_TRANSPORT picks the transport. Without it, SendGrid is used when it has an API key.
+function createTransport(name = process.env.NOTIFICATION_TRANSPORT || (process.env.SENDGRID_API_KEY ? 'sendgrid' : 'file')) {
+  if (!transports[name]) {
+    throw new Error(`Unknown notification transport ${name}. Use one of ${Object.keys(transports).join(', ')}.`);
+  }
+  return transports[name]();
+}
+
+const transport = createTransport();
+
+// Sends an email ({ to, subject, text, html, attachments }) from EMAIL_FROM
+async function sendEmail(message) {
+  await transport.send({
+    from: process.env.EMAIL_FROM,
+    ...message,
+  });
+}
+
+module.exports = {
+  transport,
+  createTransport,
+  sendEmail,
+};
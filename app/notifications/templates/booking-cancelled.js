@@ -0,0 +1,16 @@
+const { renderLayout } = require('./layout');
+const sessionDetails = require('./session-details');
+
+// data.cancelled_by is the email of the account that cancelled, data.refund the amount paid back, if any
+module.exports = (data) => ({
+  subject: 'Session Cancelled',
+  ...renderLayout({
+    heading: 'Your session has been cancelled',
+    paragraphs: [
+      `The session on ${data.local_time} has been cancelled by ${data.cancelled_by === data.recipient_email ? 'you' : data.cancelled_by}.`,
+      data.refund && data.recipient === 'user' ? `A refund of ${data.refund} is on its way to your original payment method.` : null,
+    ].filter(Boolean),
+    details: sessionDetails(data),
+    footer: 'The attached update removes the session from your calendar.',
+  }),
+});
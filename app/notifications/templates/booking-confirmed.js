@@ -0,0 +1,16 @@
+const { renderLayout } = require('./layout');
+const sessionDetails = require('./session-details');
+
+module.exports = (data) => ({
+  subject: 'Session Booking Confirmation',
+  ...renderLayout({
+    heading: data.recipient === 'speaker' ? 'You have a new session' : 'Your session is booked',
+    paragraphs: [
+      data.recipient === 'speaker'
+        ? `${data.counterpart_email} booked a session with you.`
+        : `Your session with ${data.speaker_name} has been booked successfully.`,
+    ],
+    details: sessionDetails(data),
+    footer: 'The attached invite adds the session to your calendar.',
+  }),
+});
@@ -0,0 +1,15 @@
+const { renderLayout } = require('./layout');
+const sessionDetails = require('./session-details');
+
+// data.previous_local_time is the old start time, data.rescheduled_by the account that moved it
+module.exports = (data) => ({
+  subject: 'Session Rescheduled',
+  ...renderLayout({
+    heading: 'Your session has been moved',
+    paragraphs: [
+      `The session on ${data.previous_local_time} has been moved to ${data.local_time} by ${data.rescheduled_by === data.recipient_email ? 'you' : data.rescheduled_by}.`,
+    ],
+    details: sessionDetails(data),
+    footer: 'The attached invite updates the session in your calendar.',
+  }),
+});
@@ -0,0 +1,25 @@
+const templates = {
+  otp: require('./otp'),
+  'password-changed': require('./password-changed'),
+  'booking-confirmed': require('./booking-confirmed'),
+  'booking-cancelled': require('./booking-cancelled'),
+  'booking-rescheduled': require('./booking-rescheduled'),
+  'session-reminder': require('./session-reminder'),
+  'series-confirmed': require('./series-confirmed'),
+  'series-cancelled': require('./series-cancelled'),
+  'payment-receipt': require('./payment-receipt'),
+  'waitlist-offer': require('./waitlist-offer'),
+  'meeting-link': require('./meeting-link'),
+};
+
+// Renders a template to { subject, html, text }
+function renderTemplate(name, data) {
+  if (!templates[name]) {
+    throw new Error(`Unknown email template ${name}`);
+  }
+  return templates[name](data);
+}
+
+module.exports = {
+  renderTemplate,
+};
@@ -0,0 +1,43 @@
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Renders the HTML and text variants of an email from the same content.
+// details is a list of [label, value] rows shown as a table, rows without a value are left out.
+function renderLayout({ heading, paragraphs = [], details = [], footer }) {
+  const rows = details.filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin: 0; padding: 24px; background: #f4f5f7; font-family: Arial, Helvetica, sans-serif; color: #1f2933;">
+    <div style="max-width: 560px; margin: 0 auto; padding: 24px; background: #ffffff; border-radius: 8px;">
+      <h2 style="margin-top: 0;">${escapeHtml(heading)}</h2>
+${paragraphs.map((paragraph) => `      <p>${escapeHtml(paragraph)}</p>`).join('\n')}
+${rows.length > 0 ? `      <table style="border-collapse: collapse; width: 100%;">
+${rows.map(([label, value]) => `        <tr><td style="padding: 6px 12px 6px 0; color: #616e7c; white-space: nowrap;">${escapeHtml(label)}</td><td style="padding: 6px 0;"><strong>${escapeHtml(value)}</strong></td></tr>`).join('\n')}
+      </table>` : ''}
+${footer ? `      <p style="margin-bottom: 0; color: #616e7c; font-size: 13px;">${escapeHtml(footer)}</p>` : ''}
+    </div>
+  </body>
+</html>
+`;
+
+  const text = [
+    heading,
+    ...paragraphs,
+    rows.map(([label, value]) => `${label}: ${value}`).join('\n'),
+    footer,
+  ].filter(Boolean).join('\n\n');
+
+  return { html, text: `${text}\n` };
+}
+
+module.exports = {
+  escapeHtml,
+  renderLayout,
+};
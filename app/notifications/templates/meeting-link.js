@@ -0,0 +1,20 @@
+const { renderLayout } = require('./layout');
+const sessionDetails = require('./session-details');
+
+// Sent when the meeting link of booked sessions is created after their confirmation, like a Google Meet
+// that comes with the calendar event. data.local_times lists the sessions, all sharing the link.
+module.exports = (data) => {
+  const series = data.local_times.length > 1;
+  return {
+    subject: 'Your session link is ready',
+    ...renderLayout({
+      heading: 'Your session link is ready',
+      paragraphs: [
+        `Join your ${series ? 'sessions' : 'session'} with ${data.recipient === 'speaker' ? data.counterpart_email : data.speaker_name} at ${data.meeting_url}`,
+        series ? `Sessions: ${data.local_times.join('; ')}.` : null,
+      ].filter(Boolean),
+      details: series ? sessionDetails(data).filter(([label]) => label !== 'When') : sessionDetails(data),
+      footer: 'The attached invite adds the link to the session in your calendar.',
+    }),
+  };
+};
@@ -0,0 +1,22 @@
+const { renderLayout } = require('./layout');
+
+const PURPOSE_TEXT = {
+  registration: { heading: 'Verify your email', intro: 'Use this code to finish creating your account:' },
+  login: { heading: 'Your sign in code', intro: 'Use this code to sign in to your account:' },
+  password_reset: { heading: 'Reset your password', intro: 'Use this code to reset your password:' },
+};
+
+// data: { otp, purpose, expires_in_minutes }
+module.exports = ({ otp, purpose = 'registration', expires_in_minutes }) => ({
+  subject: 'Your OTP Code',
+  ...renderLayout({
+    heading: PURPOSE_TEXT[purpose].heading,
+    paragraphs: [
+      PURPOSE_TEXT[purpose].intro,
+      otp,
+    ],
+    footer: expires_in_minutes
+      ? `The code expires in ${expires_in_minutes} minutes. If you did not request it, you can ignore this email.`
+      : 'If you did not request this code, you can ignore this email.',
+  }),
+});
@@ -0,0 +1,13 @@
+const { renderLayout } = require('./layout');
+
+// data: { email, reset } where reset is true when the password was reset with an emailed code
+module.exports = ({ email, reset }) => ({
+  subject: 'Your password was changed',
+  ...renderLayout({
+    heading: 'Your password was changed',
+    paragraphs: [
+      `The password of ${email} was ${reset ? 'reset' : 'changed'} and the other devices signed in to the account have been signed out.`,
+    ],
+    footer: 'If you did not do this, reset your password right away.',
+  }),
+});
@@ -0,0 +1,23 @@
+const { renderLayout } = require('./layout');
+
+// data is a receipt from utility/receipts.js getReceipt, with local_time and paid_local_time
+// in the payer's time zone
+module.exports = (data) => ({
+  subject: `Receipt ${data.receipt_number}`,
+  ...renderLayout({
+    heading: 'Thanks for your payment',
+    paragraphs: [
+      `We received ${data.amount} ${data.currency} for your ${data.sessions > 1 ? `${data.sessions} sessions` : 'session'} with ${data.speaker_name}.`,
+    ],
+    details: [
+      ['Receipt', data.receipt_number],
+      ['Paid on', data.paid_local_time],
+      ['Paid by', data.paid_by],
+      ['Speaker', data.speaker_name],
+      ['Session', data.session_type],
+      [data.sessions > 1 ? 'First session' : 'When', data.local_time],
+      ['Amount', `${data.amount} ${data.currency}`],
+    ],
+    footer: 'Keep this email for your records. Refunds for cancelled sessions go back to the original payment method.',
+  }),
+});
@@ -0,0 +1,17 @@
+const { renderLayout } = require('./layout');
+const sessionDetails = require('./session-details');
+
+// data.local_times lists the cancelled sessions, data.cancelled_by is the email of the account that
+// cancelled them and data.refund the amount paid back, if any
+module.exports = (data) => ({
+  subject: 'Recurring Sessions Cancelled',
+  ...renderLayout({
+    heading: 'Your recurring sessions have been cancelled',
+    paragraphs: [
+      `${data.local_times.length} sessions have been cancelled by ${data.cancelled_by === data.recipient_email ? 'you' : data.cancelled_by}: ${data.local_times.join('; ')}.`,
+      data.refund && data.recipient === 'user' ? `A refund of ${data.refund} is on its way to your original payment method.` : null,
+    ].filter(Boolean),
+    details: sessionDetails(data).filter(([label]) => label !== 'When'),
+    footer: 'The attached update removes the sessions from your calendar.',
+  }),
+});
@@ -0,0 +1,23 @@
+const { renderLayout } = require('./layout');
+const sessionDetails = require('./session-details');
+
+// data.local_times lists the booked sessions, data.skipped_local_times the series dates that
+// could not be booked and data.interval_weeks how often the series repeats
+module.exports = (data) => {
+  const repeats = data.interval_weeks === 2 ? 'every other week' : 'every week';
+  return {
+    subject: 'Recurring Sessions Booked',
+    ...renderLayout({
+      heading: data.recipient === 'speaker' ? 'You have new recurring sessions' : 'Your recurring sessions are booked',
+      paragraphs: [
+        data.recipient === 'speaker'
+          ? `${data.counterpart_email} booked ${data.local_times.length} sessions with you, ${repeats}.`
+          : `Your ${data.local_times.length} sessions with ${data.speaker_name}, ${repeats}, have been booked successfully.`,
+        `Sessions: ${data.local_times.join('; ')}.`,
+        data.skipped_local_times.length > 0 ? `Not booked because the slot was taken: ${data.skipped_local_times.join('; ')}.` : null,
+      ].filter(Boolean),
+      details: sessionDetails(data).filter(([label]) => label !== 'When'),
+      footer: 'The attached invite adds the sessions to your calendar as one recurring event.',
+    }),
+  };
+};
@@ -0,0 +1,16 @@
+// Rows describing a booked session, shared by the booking templates.
+// data is built by notifications/booking-emails.js.
+function sessionDetails(data) {
+  return [
+    ['Speaker', data.speaker_name],
+    ['Expertise', data.expertise],
+    [data.recipient === 'speaker' ? 'Booked by' : 'Booked with', data.counterpart_email],
+    ['Session', data.session_type],
+    ['When', data.local_time],
+    ['Duration', `${data.duration_minutes} minutes`],
+    ['Price', data.price],
+    ['Join at', data.meeting_url || (data.meeting_pending ? 'The link follows in a separate email' : null)],
+  ];
+}
+
+module.exports = sessionDetails;
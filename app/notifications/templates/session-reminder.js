@@ -0,0 +1,16 @@
+const { renderLayout } = require('./layout');
+const sessionDetails = require('./session-details');
+
+// data.starts_in describes how soon the session starts, e.g. "24 hours"
+module.exports = (data) => ({
+  subject: `Reminder: your session starts in ${data.starts_in}`,
+  ...renderLayout({
+    heading: 'Your session is coming up',
+    paragraphs: [
+      data.recipient === 'speaker'
+        ? `Your session with ${data.counterpart_email} starts in ${data.starts_in}.`
+        : `Your session with ${data.speaker_name} starts in ${data.starts_in}.`,
+    ],
+    details: sessionDetails(data),
+  }),
+});
@@ -0,0 +1,20 @@
+const { renderLayout } = require('./layout');
+
+// data is built by utility/waitlist.js, with the times in the waitlisted user's time zone
+module.exports = (data) => ({
+  subject: `A slot with ${data.speaker_name} is free`,
+  ...renderLayout({
+    heading: 'A slot you were waiting for is free',
+    paragraphs: [
+      `The session with ${data.speaker_name} on ${data.local_time} is held for you until ${data.expires_local_time}.`,
+      `Claim it here: ${data.claim_url}`,
+    ],
+    details: [
+      ['Speaker', data.speaker_name],
+      ['Session', data.session_type],
+      ['When', data.local_time],
+      ['Duration', `${data.duration_minutes} minutes`],
+    ],
+    footer: 'If you do not claim it in time, the slot is offered to the next person on the waitlist.',
+  }),
+});
@@ -0,0 +1,19 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Appends each message as a JSON line to a local file, so OTP and booking flows work offline
+function createFileTransport() {
+  const file = process.env.NOTIFICATION_FILE || path.join(os.tmpdir(), 'pa_assgn-mail.jsonl');
+
+  return {
+    name: 'file',
+    file,
+    async send(message) {
+      await fs.promises.appendFile(file, `${JSON.stringify({ ...message, sent_at: new Date() })}\n`);
+      console.log(`Email "${message.subject}" to ${[].concat(message.to).join(', ')} written to ${file}`);
+    },
+  };
+}
+
+module.exports = createFileTransport;
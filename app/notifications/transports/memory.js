@@ -0,0 +1,17 @@
+// Keeps sent messages in memory, for tests and scripts that inspect what would have been sent
+function createMemoryTransport() {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+    async send(message) {
+      messages.push({ ...message, sent_at: new Date() });
+    },
+    clear() {
+      messages.length = 0;
+    },
+  };
+}
+
+module.exports = createMemoryTransport;
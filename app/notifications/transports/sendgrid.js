@@ -0,0 +1,23 @@
+const sgMail = require('@sendgrid/mail');
+
+// Sends through the SendGrid API, configured with SENDGRID_API_KEY
+function createSendgridTransport() {
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+  return {
+    name: 'sendgrid',
+    async send(message) {
+      await sgMail.send({
+        ...message,
+        attachments: message.attachments && message.attachments.map((attachment) => ({
+          filename: attachment.filename,
+          type: attachment.contentType,
+          content: Buffer.from(attachment.content).toString('base64'),
+          disposition: 'attachment',
+        })),
+      });
+    },
+  };
+}
+
+module.exports = createSendgridTransport;
@@ -0,0 +1,23 @@
+const nodemailer = require('nodemailer');
+
+// Sends through any SMTP server, e.g. a local MailHog or Mailpit on port 1025
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      await transporter.sendMail({
+        ...message,
+        to: [].concat(message.to).join(', '),
+      });
+    },
+  };
+}
+
+module.exports = createSmtpTransport;
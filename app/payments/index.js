@@ -0,0 +1,42 @@
+const createFakeProvider = require('./providers/fake');
+require('dotenv').config();
+
+// A provider implements:
+//   createPayment({ paymentId, amount, currency, description, email }) -> { providerPaymentId, checkoutUrl }
+//   refund({ providerPaymentId, amount, currency, idempotencyKey }) -> { providerRefundId }, where a repeated
+//     idempotencyKey returns the earlier refund instead of refunding again
+//   parseWebhook(rawBody, headers) -> { type, providerPaymentId } or null when the signature does not match,
+//     where type is payment.succeeded or payment.failed
+const providers = {
+  fake: createFakeProvider,
+};
+
+// PAYMENT_PROVIDER picks the provider. It has no default, so a missing setting stops the server
+// instead of silently taking payments with the fake one.
+function createProvider(name = process.env.PAYMENT_PROVIDER) {
+  if (!name) {
+    throw new Error(`PAYMENT_PROVIDER is not set. Use one of ${Object.keys(providers).join(', ')}.`);
+  }
+  if (!providers[name]) {
+    throw new Error(`Unknown payment provider ${name}. Use one of ${Object.keys(providers).join(', ')}.`);
+  }
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider is for local development, not production');
+  }
+  return providers[name]();
+}
+
+// Created on first use, so the app and scripts that never take a payment start without payment settings
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+}
+
+module.exports = {
+  getProvider,
+  createProvider,
+};
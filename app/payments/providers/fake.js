@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Built-in provider that never leaves the server, so the payment flow runs locally and in tests.
+// Its checkout page is served by routes/payments.js and reports the outcome through the same
+// signed webhook a real provider would call.
+function createFakeProvider() {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  const baseUrl = process.env.APP_URL || 'http://localhost:10000';
+
+  function sign(body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  return {
+    name: 'fake',
+
+    async createPayment({ paymentId }) {
+      const providerPaymentId = `fake_pay_${crypto.randomBytes(12).toString('hex')}`;
+      return {
+        providerPaymentId,
+        checkoutUrl: `${baseUrl}/payments/fake/${providerPaymentId}?payment_id=${paymentId}`,
+      };
+    },
+
+    // The refund id only depends on the key, so repeating a refund returns the same one
+    async refund({ idempotencyKey }) {
+      return { providerRefundId: `fake_ref_${idempotencyKey}` };
+    },
+
+    // Signed webhook body for a payment outcome, as posted by the fake checkout page
+    createWebhook(type, providerPaymentId) {
+      const body = JSON.stringify({ type, provider_payment_id: providerPaymentId });
+      return { body, signature: sign(body) };
+    },
+
+    // Returns { type, providerPaymentId } of a webhook call, or null if its signature does not match
+    parseWebhook(rawBody, headers) {
+      const signature = String(headers['x-fake-signature'] || '');
+      const expected = sign(rawBody);
+      if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+      }
+      const event = JSON.parse(rawBody);
+      return { type: event.type, providerPaymentId: event.provider_payment_id };
+    },
+  };
+}
+
+module.exports = createFakeProvider;
@@ -0,0 +1,661 @@
+const express = require('express');
+const pool = require('../utility/db');
+const { formatDate } = require('../utility/datetime');
+const { replay } = require('../utility/outbox');
+const { revokeSessions } = require('../utility/auth-token');
+const { cancelBooking } = require('../utility/booking-changes');
+const { withTransaction } = require('../utility/transaction');
+const { getPagination } = require('../utility/pagination');
+const { isValidId } = require('../utility/params');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every admin endpoint needs a signed in admin account
+router.use(authenticate, requireRole('admin'));
+
+// Shape of an account in admin responses
+function serializeAccount(account) {
+  return {
+    email: account.email,
+    user_type: account.user_type,
+    status: account.status,
+    suspended_reason: account.suspended_reason || null,
+    approved: account.user_type === 'speaker' ? Boolean(account.approved_at) : undefined,
+    created_at: formatDate(account.created_at),
+  };
+}
+
+/**
+ * @swagger
+ * /admin/outbox:
+ *   get:
+ *     summary: List queued emails and calendar updates
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *           default: failed
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of outbox messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 7
+ *                       kind:
+ *                         type: string
+ *                         example: calendar.create
+ *                       payload:
+ *                         type: object
+ *                         example: { "booking_id": 3 }
+ *                       status:
+ *                         type: string
+ *                         example: failed
+ *                       attempts:
+ *                         type: integer
+ *                         example: 8
+ *                       last_error:
+ *                         type: string
+ *                         example: invalid_grant
+ *                       created_at:
+ *                         type: string
+ *                         example: 2023-12-30T08:00:00Z
+ *                       next_attempt_at:
+ *                         type: string
+ *                         example: 2023-12-30T09:00:00Z
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Not an admin account
+ *       500:
+ *         description: Failed to retrieve outbox
+ */
+router.get('/outbox', async (req, res) => {
+  const status = req.query.status || 'failed';
+  const { page, limit, offset } = getPagination(req.query);
+
+  if (!['pending', 'delivered', 'failed'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status. Use pending, delivered or failed.' });
+  }
+
+  try {
+    const countResult = await pool.query('SELECT COUNT(*) FROM outbox WHERE status = $1', [status]);
+    const messagesResult = await pool.query(
+      `SELECT id, kind, payload, status, attempts, last_error, created_at, next_attempt_at
+       FROM outbox WHERE status = $1 ORDER BY id DESC LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+
+    const messages = messagesResult.rows.map((message) => ({
+      ...message,
+      created_at: formatDate(message.created_at),
+      next_attempt_at: formatDate(message.next_attempt_at),
+    }));
+
+    res.status(200).json({ page, limit, total: Number(countResult.rows[0].count), messages });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to retrieve outbox' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/outbox/{id}/replay:
+ *   post:
+ *     summary: Queue a failed email or calendar update for delivery again
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the outbox message
+ *     responses:
+ *       200:
+ *         description: Message queued for delivery
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Not an admin account
+ *       404:
+ *         description: Failed message not found
+ *       500:
+ *         description: Failed to replay message
+ */
+router.post('/outbox/:id/replay', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await replay(id))) {
+      return res.status(404).json({ error: 'Failed message not found' });
+    }
+
+    res.status(200).json({ message: 'Message queued for delivery' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to replay message' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Account:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *           example: speaker@example.com
+ *         user_type:
+ *           type: string
+ *           example: speaker
+ *         status:
+ *           type: string
+ *           enum: [active, suspended]
+ *           example: active
+ *         suspended_reason:
+ *           type: string
+ *           example: null
+ *         approved:
+ *           type: boolean
+ *           description: Only set for speakers
+ *           example: false
+ *         created_at:
+ *           type: string
+ *           example: 2023-12-30T08:00:00Z
+ */
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: List and search accounts
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Part of the email to search for
+ *       - in: query
+ *         name: user_type
+ *         schema:
+ *           type: string
+ *           enum: [user, speaker, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended]
+ *       - in: query
+ *         name: pending_approval
+ *         schema:
+ *           type: boolean
+ *         description: Only return speakers waiting for approval
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of accounts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Account'
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Not an admin account
+ *       500:
+ *         description: Failed to retrieve users
+ */
+router.get('/users', async (req, res) => {
+  const { q, user_type, status, pending_approval } = req.query;
+  const { page, limit, offset } = getPagination(req.query);
+
+  if (user_type && !['user', 'speaker', 'admin'].includes(user_type)) {
+    return res.status(400).json({ error: 'Invalid user type. Use user, speaker or admin.' });
+  }
+  if (status && !['active', 'suspended'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status. Use active or suspended.' });
+  }
+
+  try {
+    // Build the filters
+    const params = [];
+    const conditions = [];
+    if (q) {
+      params.push(`%${q}%`);
+      conditions.push(`email ILIKE $${params.length}`);
+    }
+    if (user_type) {
+      params.push(user_type);
+      conditions.push(`user_type = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (pending_approval === 'true') {
+      conditions.push("user_type = 'speaker' AND approved_at IS NULL");
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM users_js ${where}`, params);
+    const usersResult = await pool.query(
+      `SELECT * FROM users_js ${where} ORDER BY created_at DESC, email LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    res.status(200).json({ page, limit, total: Number(countResult.rows[0].count), users: usersResult.rows.map(serializeAccount) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to retrieve users' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{email}/suspend:
+ *   post:
+ *     summary: Suspend an account
+ *     description: Signs the account out everywhere. Suspended accounts cannot sign in or book, and suspended speakers are not listed.
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Repeated no-shows
+ *     responses:
+ *       200:
+ *         description: Account suspended successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       400:
+ *         description: Admins cannot suspend themselves
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Not an admin account
+ *       404:
+ *         description: Account not found
+ *       500:
+ *         description: Failed to suspend account
+ */
+router.post('/users/:email/suspend', async (req, res) => {
+  const { email } = req.params;
+  const { reason } = req.body;
+
+  if (email === req.user.email) {
+    return res.status(400).json({ error: 'You cannot suspend your own account' });
+  }
+
+  try {
+    const account = await withTransaction(async (client) => {
+      const suspendResult = await client.query(
+        `UPDATE users_js SET status = 'suspended', suspended_at = NOW(), suspended_reason = $1
+         WHERE email = $2 RETURNING *`,
+        [reason || null, email]
+      );
+      if (suspendResult.rowCount > 0) {
+        await revokeSessions(client, email);
+      }
+      return suspendResult.rows[0];
+    });
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.status(200).json({ message: 'Account suspended successfully', ...serializeAccount(account) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to suspend account' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{email}/reactivate:
+ *   post:
+ *     summary: Lift the suspension of an account
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account reactivated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Not an admin account
+ *       404:
+ *         description: Account not found
+ *       500:
+ *         description: Failed to reactivate account
+ */
+router.post('/users/:email/reactivate', async (req, res) => {
+  const { email } = req.params;
+
+  try {
+    const reactivateResult = await pool.query(
+      `UPDATE users_js SET status = 'active', suspended_at = NULL, suspended_reason = NULL
+       WHERE email = $1 RETURNING *`,
+      [email]
+    );
+    if (reactivateResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.status(200).json({ message: 'Account reactivated successfully', ...serializeAccount(reactivateResult.rows[0]) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to reactivate account' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/speakers/{email}/approve:
+ *   post:
+ *     summary: Approve a speaker so they are listed in /speakers/available and can be booked
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Speaker approved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Account'
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Not an admin account
+ *       404:
+ *         description: Speaker not found
+ *       500:
+ *         description: Failed to approve speaker
+ */
+router.post('/speakers/:email/approve', async (req, res) => {
+  const { email } = req.params;
+
+  try {
+    const approveResult = await pool.query(
+      `UPDATE users_js SET approved_at = COALESCE(approved_at, NOW()), approved_by = COALESCE(approved_by, $1)
+       WHERE email = $2 AND user_type = 'speaker' RETURNING *`,
+      [req.user.email, email]
+    );
+    if (approveResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Speaker not found' });
+    }
+
+    res.status(200).json({ message: 'Speaker approved successfully', ...serializeAccount(approveResult.rows[0]) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to approve speaker' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/bookings:
+ *   get:
+ *     summary: List bookings of every account
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, past, cancelled]
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Only return bookings this account is a party of
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of bookings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 bookings:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 1
+ *                       user_email:
+ *                         type: string
+ *                         example: user@example.com
+ *                       speaker_email:
+ *                         type: string
+ *                         example: speaker@example.com
+ *                       session_date:
+ *                         type: string
+ *                         example: 2023-12-31T04:30:00Z
+ *                       session_end:
+ *                         type: string
+ *                         example: 2023-12-31T05:30:00Z
+ *                       status:
+ *                         type: string
+ *                         example: upcoming
+ *                       cancelled_by:
+ *                         type: string
+ *                         example: null
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Not an admin account
+ *       500:
+ *         description: Failed to retrieve bookings
+ */
+router.get('/bookings', async (req, res) => {
+  const { status, email } = req.query;
+  const { page, limit, offset } = getPagination(req.query);
+
+  if (status && !['upcoming', 'past', 'cancelled'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status. Use upcoming, past or cancelled.' });
+  }
+
+  try {
+    // Build the filters
+    const params = [];
+    const conditions = ["status = 'confirmed'"];
+    if (status === 'upcoming') {
+      conditions.push('cancelled_at IS NULL AND session_date >= NOW()');
+    } else if (status === 'past') {
+      conditions.push('cancelled_at IS NULL AND session_date < NOW()');
+    } else if (status === 'cancelled') {
+      conditions.push('cancelled_at IS NOT NULL');
+    }
+    if (email) {
+      params.push(email);
+      conditions.push(`(user_email = $${params.length} OR speaker_email = $${params.length})`);
+    }
+    const where = conditions.join(' AND ');
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM bookings WHERE ${where}`, params);
+    const bookingsResult = await pool.query(
+      `SELECT * FROM bookings WHERE ${where} ORDER BY session_date DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const currentDate = new Date();
+    const bookings = bookingsResult.rows.map((booking) => {
+      const sessionDate = new Date(booking.session_date);
+      let bookingStatus = sessionDate >= currentDate ? 'upcoming' : 'past';
+      if (booking.cancelled_at) {
+        bookingStatus = 'cancelled';
+      }
+
+      return {
+        id: booking.id,
+        user_email: booking.user_email,
+        speaker_email: booking.speaker_email,
+        session_date: formatDate(sessionDate),
+        session_end: formatDate(new Date(booking.session_end)),
+        status: bookingStatus,
+        cancelled_by: booking.cancelled_by || null,
+      };
+    });
+
+    res.status(200).json({ page, limit, total: Number(countResult.rows[0].count), bookings });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to retrieve bookings' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/bookings/{id}:
+ *   delete:
+ *     summary: Cancel any booking
+ *     description: Both parties are emailed and the calendar event is removed, as when they cancel themselves.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the booking
+ *     responses:
+ *       200:
+ *         description: Session cancelled successfully
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Not an admin account
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Failed to cancel session
+ */
+router.delete('/bookings/:id', async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidId(id)) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+
+  try {
+    const cancelled = await cancelBooking(id, req.user.email);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    res.status(200).json({ message: 'Session cancelled successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to cancel session' });
+  }
+});
+
+module.exports = router;
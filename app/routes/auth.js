@@ -1,21 +1,72 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
-const sgMail = require('@sendgrid/mail');
 const pool = require('../utility/db'); // Import the PostgreSQL connection pool
+const { DEFAULT_TIME_ZONE, isValidTimeZone, formatDate } = require('../utility/datetime');
+const { sendEmail } = require('../notifications');
+const { renderTemplate } = require('../notifications/templates');
+const {
+  OTP_PURPOSES,
+  issueOtp,
+  verifyOtp,
+  createVerificationToken,
+  readVerificationToken,
+  consumeVerificationToken,
+} = require('../utility/otp');
+const {
+  createSession,
+  refreshSession,
+  verifyToken,
+  listSessions,
+  revokeSession,
+  revokeRefreshToken,
+  revokeSessions,
+} = require('../utility/auth-token');
+const { getToken, authenticate } = require('../middleware/auth');
+const { generateSecret, verifyTotp, createBackupCodes, verifySecondFactor } = require('../utility/two-factor');
+const { withTransaction } = require('../utility/transaction');
+const { isValidId } = require('../utility/params');
+const { serializeSpeaker } = require('../utility/accounts');
+const { serializeMeetingSettings } = require('../utility/meetings');
+const { getRatings } = require('../utility/reviews');
 const e = require('express');
 require('dotenv').config();
 
 const router = express.Router();
 
-// Configure SendGrid
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+const MIN_PASSWORD_LENGTH = 8;
+
+// Rule for passwords set through register, reset-password and change-password
+function isValidPassword(password) {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+}
+
+// The refresh token is only sent to the /auth endpoints
+const REFRESH_COOKIE_OPTIONS = { httpOnly: true, secure: true, path: '/auth' };
+
+// Starts a session for the device making the request and sets its token cookies
+async function startSession(req, res, user) {
+  const { accessToken, refreshToken } = await createSession(pool, user, { userAgent: req.get('user-agent'), ip: req.ip });
+  setSessionCookies(res, accessToken, refreshToken);
+  return { token: accessToken, refresh_token: refreshToken };
+}
+
+function setSessionCookies(res, accessToken, refreshToken) {
+  res.cookie('token', accessToken, { httpOnly: true, secure: true });
+  res.cookie('refresh_token', refreshToken, REFRESH_COOKIE_OPTIONS);
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie('token', { httpOnly: true, secure: true });
+  res.clearCookie('refresh_token', REFRESH_COOKIE_OPTIONS);
+}
 
 /**
  * @swagger
  * /auth/send-otp:
  *   post:
  *     summary: Send OTP
+ *     description: Codes expire after OTP_TTL_MINUTES (10 by default). Requesting a new code replaces the previous one.
  *     requestBody:
  *       required: true
  *       content:
@@ -26,44 +77,53 @@ sgMail.setApiKey(process.env.SENDGRID_API_KEY);
  *               email:
  *                 type: string
  *                 example: user@example.com
+ *               purpose:
+ *                 type: string
+ *                 enum: [registration, login, password_reset]
+ *                 default: registration
  *     responses:
  *       200:
  *         description: OTP sent successfully
  *       400:
- *         description: User already exists
+ *         description: User already exists or invalid purpose
+ *       429:
+ *         description: Too many OTP requests for this email or IP
  *       500:
  *         description: Failed to send OTP
  */
 router.post('/send-otp', async (req, res) => {
-  const { email } = req.body;
+  const { email, purpose = 'registration' } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+  if (!OTP_PURPOSES.includes(purpose)) {
+    return res.status(400).json({ error: `Invalid purpose. Use ${OTP_PURPOSES.join(', ')}.` });
+  }
 
   try {
-    // Check if the user already exists
+    // Registration needs a new email, the other flows an existing account
     const userResult = await pool.query('SELECT * FROM users_js WHERE email = $1', [email]);
-    if (userResult.rows.length > 0) {
+    if (purpose === 'registration' && userResult.rows.length > 0) {
       return res.status(400).json({ error: 'User already exists' });
     }
-
-    // Generate a random 6-digit OTP
-    let otp;
-    if (process.env.NODE_ENV == 'dev') {
-      otp = '123456';
-    }else{
-      otp = Math.floor(100000 + Math.random() * 900000).toString();
+    if (purpose !== 'registration' && userResult.rows.length === 0) {
+      // Answer as if a code was sent, so the endpoint does not reveal which emails have accounts
+      return res.status(200).json({ message: 'OTP sent successfully' });
     }
 
-    // Store OTP in the database
-    await pool.query('INSERT INTO otps (email, otp) VALUES ($1, $2)', [email, otp]);
+    // Generate and store a hashed OTP, unless the email or IP is asking too often
+    const issued = await issueOtp(email, purpose, req.ip);
+    if (issued.error) {
+      res.set('Retry-After', String(issued.retryAfter));
+      return res.status(issued.status).json({ error: issued.error });
+    }
 
-    // Send OTP via SendGrid
-    const msg = {
+    // Send OTP by email
+    await sendEmail({
       to: email,
-      from: process.env.EMAIL_FROM,
-      subject: 'Your OTP Code',
-      text: `Your OTP code is ${otp}`,
-    };
-
-    await sgMail.send(msg);
+      ...renderTemplate('otp', { otp: issued.otp, purpose, expires_in_minutes: issued.expiresInMinutes }),
+    });
 
     res.status(200).json({ message: 'OTP sent successfully' });
   } catch (error) {
@@ -72,6 +132,69 @@ router.post('/send-otp', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /auth/verify-otp:
+ *   post:
+ *     summary: Verify OTP
+ *     description: Uses up the code and returns a verification token, valid for 15 minutes, that the next step of the flow accepts instead of the code.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: user@example.com
+ *               otp:
+ *                 type: string
+ *                 example: "482913"
+ *               purpose:
+ *                 type: string
+ *                 enum: [registration, login, password_reset]
+ *                 default: registration
+ *     responses:
+ *       200:
+ *         description: OTP verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: OTP verified successfully
+ *                 verification_token:
+ *                   type: string
+ *       400:
+ *         description: Invalid or expired OTP
+ *       429:
+ *         description: Too many incorrect attempts
+ *       500:
+ *         description: Failed to verify OTP
+ */
+router.post('/verify-otp', async (req, res) => {
+  const { email, otp, purpose = 'registration' } = req.body;
+
+  if (!OTP_PURPOSES.includes(purpose)) {
+    return res.status(400).json({ error: `Invalid purpose. Use ${OTP_PURPOSES.join(', ')}.` });
+  }
+
+  try {
+    const verification = await verifyOtp(email, purpose, otp);
+    if (!verification.valid) {
+      return res.status(verification.status).json({ error: verification.error });
+    }
+
+    res.status(200).json({ message: 'OTP verified successfully', verification_token: createVerificationToken(email, purpose) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to verify OTP' });
+  }
+});
+
 /**
  * @swagger
  * /auth/register:
@@ -89,13 +212,20 @@ router.post('/send-otp', async (req, res) => {
  *                 example: user@example.com
  *               otp:
  *                 type: string
- *                 example: 123456
+ *                 example: "482913"
+ *               verification_token:
+ *                 type: string
+ *                 description: Token from /auth/verify-otp, sent instead of otp. It works once.
  *               password:
  *                 type: string
  *                 example: your_password
  *               user_type:
  *                 type: string
  *                 example: speaker
+ *               time_zone:
+ *                 type: string
+ *                 example: Asia/Kolkata
+ *                 description: IANA time zone of the account, defaults to Asia/Kolkata
  *     responses:
  *       200:
  *         description: OTP verified successfully
@@ -109,38 +239,57 @@ router.post('/send-otp', async (req, res) => {
  *                   example: OTP verified successfully
  *                 token:
  *                   type: string
+ *                 refresh_token:
+ *                   type: string
  *       400:
- *         description: Invalid OTP
+ *         description: User already exists, invalid or expired OTP or verification token, too short a password, or invalid user type or time zone
+ *       429:
+ *         description: Too many incorrect attempts
  */
 router.post('/register', async (req, res) => {
-  const { email, otp, password, user_type } = req.body;
+  const { email, otp, verification_token, password, user_type, time_zone = DEFAULT_TIME_ZONE } = req.body;
+
+  if (user_type !== 'speaker' && user_type !== 'user' ){
+    return res.status(400).json({ error: 'Invalid user type' });
+  }
+
+  if (!isValidTimeZone(time_zone)) {
+    return res.status(400).json({ error: 'Invalid time zone' });
+  }
+
+  if (!isValidPassword(password)) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
 
   try {
-    // Verify OTP
-    const otpResult = await pool.query('SELECT * FROM otps WHERE email = $1 AND otp = $2', [email, otp]);
-    if (otpResult.rows.length === 0) {
-      return res.status(400).json({ error: 'Invalid OTP' });
+    // Check before the code or token is used up, so it still works if the email is taken
+    const existingResult = await pool.query('SELECT 1 FROM users_js WHERE email = $1', [email]);
+    if (existingResult.rows.length > 0) {
+      return res.status(400).json({ error: 'User already exists' });
     }
 
-    if (user_type !== 'speaker' && user_type !== 'user' ){
-      return res.status(400).json({ error: 'Invalid user type' });
+    // Verify OTP, or the token of an OTP verified earlier
+    if (verification_token) {
+      if (readVerificationToken(verification_token, 'registration') !== email || !(await consumeVerificationToken(verification_token))) {
+        return res.status(400).json({ error: 'Invalid verification token' });
+      }
+    } else {
+      const verification = await verifyOtp(email, 'registration', otp);
+      if (!verification.valid) {
+        return res.status(verification.status).json({ error: verification.error });
+      }
     }
 
     // Hash the password
     const hashedPassword = await bcrypt.hash(password, 10);
 
     // Create user in the database
-    await pool.query('INSERT INTO users_js (email, password, user_type) VALUES ($1, $2, $3)', [email, hashedPassword, user_type]);
-
-    // Generate JWT
-    const token = jwt.sign({ email, user_type }, process.env.JWT_SECRET, { expiresIn: '8h' });
+    await pool.query('INSERT INTO users_js (email, password, user_type, time_zone) VALUES ($1, $2, $3, $4)', [email, hashedPassword, user_type, time_zone]);
 
-    res.cookie('token', token, { httpOnly: true, secure: true });
+    // Sign the new account in
+    const tokens = await startSession(req, res, { email, user_type });
 
-    // Delete the OTP record from the database
-    await pool.query('DELETE FROM otps WHERE email = $1', [email]);
-
-    res.status(200).json({ message: 'OTP verified successfully', token });
+    res.status(200).json({ message: 'OTP verified successfully', ...tokens });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Failed to verify OTP' });
@@ -165,6 +314,10 @@ router.post('/register', async (req, res) => {
  *               password:
  *                 type: string
  *                 example: your_password
+ *               otp:
+ *                 type: string
+ *                 example: "482913"
+ *                 description: Code sent by /auth/send-otp with purpose login, sent instead of password
  *     responses:
  *       200:
  *         description: Login successful
@@ -178,13 +331,24 @@ router.post('/register', async (req, res) => {
  *                   example: Login successful
  *                 token:
  *                   type: string
+ *                 refresh_token:
+ *                   type: string
+ *                 two_factor_required:
+ *                   type: boolean
+ *                   description: Set instead of the tokens when the account has 2FA on. Finish with /auth/login/2fa.
+ *                 challenge_token:
+ *                   type: string
  *       400:
- *         description: Invalid email or password
+ *         description: Invalid email, password or OTP
+ *       403:
+ *         description: Account suspended
+ *       429:
+ *         description: Too many incorrect OTP attempts
  *       500:
  *         description: Failed to login
  */
 router.post('/login', async (req, res) => {
-  const { email, password } = req.body;
+  const { email, password, otp } = req.body;
 
   try {
     // Check if the user exists
@@ -195,37 +359,764 @@ router.post('/login', async (req, res) => {
 
     const user = userResult.rows[0];
 
-    // Verify the password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ error: 'Invalid email or password' });
+    if (otp) {
+      // Verify the emailed sign in code
+      const verification = await verifyOtp(email, 'login', otp);
+      if (!verification.valid) {
+        return res.status(verification.status).json({ error: verification.error });
+      }
+    } else {
+      // Verify the password
+      const isMatch = await bcrypt.compare(password || '', user.password);
+      if (!isMatch) {
+        return res.status(400).json({ error: 'Invalid email or password' });
+      }
+    }
+
+    if (user.status === 'suspended') {
+      return res.status(403).json({ error: 'Account suspended' });
+    }
+
+    // Accounts with 2FA on finish signing in with a code at /auth/login/2fa
+    if (user.totp_enabled) {
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        two_factor_required: true,
+        challenge_token: createVerificationToken(user.email, 'two_factor'),
+      });
+    }
+
+    // Start a session and set its tokens in cookies
+    const tokens = await startSession(req, res, user);
+
+    res.status(200).json({ message: 'Login successful', ...tokens });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to login' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Second login step for accounts with two-factor authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *                 description: Token returned by /auth/login
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *                 description: Code from the authenticator app, or an unused backup code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Login successful
+ *                 token:
+ *                   type: string
+ *                 refresh_token:
+ *                   type: string
+ *       400:
+ *         description: Invalid code or challenge token
+ *       403:
+ *         description: Account suspended
+ *       429:
+ *         description: Too many incorrect codes
+ *       500:
+ *         description: Failed to login
+ */
+router.post('/login/2fa', async (req, res) => {
+  const { challenge_token, code } = req.body;
+
+  try {
+    const email = readVerificationToken(challenge_token, 'two_factor');
+    const userResult = await pool.query('SELECT * FROM users_js WHERE email = $1 AND totp_enabled', [email]);
+    if (!email || userResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired challenge token. Log in again.' });
+    }
+
+    const user = userResult.rows[0];
+    // The account may have been suspended after the password step
+    if (user.status === 'suspended') {
+      return res.status(403).json({ error: 'Account suspended' });
     }
 
-    // Generate JWT
-    const token = jwt.sign({ email, user_type: user.user_type }, process.env.JWT_SECRET, { expiresIn: '8h' });
+    const verification = await verifySecondFactor(user, code);
+    if (!verification.valid) {
+      return res.status(verification.status).json({ error: verification.error });
+    }
+    // The token survives wrong codes but only signs in once
+    if (!(await consumeVerificationToken(challenge_token))) {
+      return res.status(400).json({ error: 'Invalid or expired challenge token. Log in again.' });
+    }
 
-    // Set the token in a cookie
-    res.cookie('token', token, { httpOnly: true, secure: true });
+    // Start a session and set its tokens in cookies
+    const tokens = await startSession(req, res, user);
 
-    res.status(200).json({ message: 'Login successful', token });
+    res.status(200).json({ message: 'Login successful', ...tokens });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Failed to login' });
   }
 });
 
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start enrolling the current account in two-factor authentication
+ *     description: Returns a new secret to add to an authenticator app. 2FA is turned on once a code is confirmed with /auth/2fa/confirm.
+ *     responses:
+ *       200:
+ *         description: Secret created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                 otpauth_url:
+ *                   type: string
+ *                   example: otpauth://totp/PA%20Assgn%3Aspeaker%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=PA%20Assgn
+ *       400:
+ *         description: Two-factor authentication is already on
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Failed to set up two-factor authentication
+ */
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = generateSecret(req.user.email);
+
+    const setupResult = await pool.query(
+      'UPDATE users_js SET totp_secret = $1, totp_last_step = NULL WHERE email = $2 AND NOT totp_enabled',
+      [secret, req.user.email]
+    );
+    if (setupResult.rowCount === 0) {
+      return res.status(400).json({ error: 'Two-factor authentication is already on' });
+    }
+
+    res.status(200).json({ secret, otpauth_url: otpauthUrl });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to set up two-factor authentication' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/confirm:
+ *   post:
+ *     summary: Turn on two-factor authentication with the first code from the authenticator app
+ *     description: Returns single-use backup codes. They are only shown once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication turned on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 backup_codes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: 3f9a-1c07
+ *       400:
+ *         description: Invalid code, or setup not started
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Failed to turn on two-factor authentication
+ */
+router.post('/2fa/confirm', authenticate, async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const userResult = await pool.query('SELECT * FROM users_js WHERE email = $1', [req.user.email]);
+    const user = userResult.rows[0];
+
+    if (!user.totp_secret || user.totp_enabled) {
+      return res.status(400).json({ error: 'Start two-factor setup with /auth/2fa/setup first' });
+    }
+
+    const backupCodes = await withTransaction(async (client) => {
+      if (!code || !(await verifyTotp(client, user, code))) {
+        return null;
+      }
+      await client.query('UPDATE users_js SET totp_enabled = TRUE, totp_failed_attempts = 0 WHERE email = $1', [user.email]);
+      return createBackupCodes(client, user.email);
+    });
+    if (!backupCodes) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    res.status(200).json({ message: 'Two-factor authentication turned on', backup_codes: backupCodes });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to turn on two-factor authentication' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace the backup codes of the current account
+ *     description: Earlier backup codes stop working. The new ones are only shown once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *                 description: Code from the authenticator app
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ *       400:
+ *         description: Invalid code or two-factor authentication is off
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many incorrect codes
+ *       500:
+ *         description: Failed to create backup codes
+ */
+router.post('/2fa/backup-codes', authenticate, async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const userResult = await pool.query('SELECT * FROM users_js WHERE email = $1 AND totp_enabled', [req.user.email]);
+    const user = userResult.rows[0];
+    if (!user) {
+      return res.status(400).json({ error: 'Two-factor authentication is off' });
+    }
+
+    const verification = await verifySecondFactor(user, code);
+    if (!verification.valid) {
+      return res.status(verification.status).json({ error: verification.error });
+    }
+
+    const backupCodes = await withTransaction((client) => createBackupCodes(client, user.email));
+    res.status(200).json({ message: 'Backup codes replaced', backup_codes: backupCodes });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to create backup codes' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa:
+ *   delete:
+ *     summary: Turn off two-factor authentication for the current account
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: your_password
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *                 description: Code from the authenticator app, or an unused backup code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication turned off
+ *       400:
+ *         description: Wrong password or code, or two-factor authentication is off
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Too many incorrect codes
+ *       500:
+ *         description: Failed to turn off two-factor authentication
+ */
+router.delete('/2fa', authenticate, async (req, res) => {
+  const { password, code } = req.body;
+
+  try {
+    const userResult = await pool.query('SELECT * FROM users_js WHERE email = $1 AND totp_enabled', [req.user.email]);
+    const user = userResult.rows[0];
+    if (!user) {
+      return res.status(400).json({ error: 'Two-factor authentication is off' });
+    }
+
+    // Both factors are needed, so a stolen session alone cannot turn 2FA off
+    const isMatch = await bcrypt.compare(password || '', user.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Invalid password' });
+    }
+    const verification = await verifySecondFactor(user, code);
+    if (!verification.valid) {
+      return res.status(verification.status).json({ error: verification.error });
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE users_js SET totp_enabled = FALSE, totp_secret = NULL, totp_last_step = NULL WHERE email = $1',
+        [user.email]
+      );
+      await client.query('DELETE FROM backup_codes WHERE user_email = $1', [user.email]);
+    });
+
+    res.status(200).json({ message: 'Two-factor authentication turned off' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to turn off two-factor authentication' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Get a new access token with a refresh token
+ *     description: The refresh token is read from the refresh_token cookie or the body. It can only be used once, the response carries a new one.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Tokens refreshed successfully
+ *                 token:
+ *                   type: string
+ *                 refresh_token:
+ *                   type: string
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *       500:
+ *         description: Failed to refresh tokens
+ */
+router.post('/refresh', async (req, res) => {
+  const refreshToken = req.cookies.refresh_token || req.body.refresh_token;
+
+  if (!refreshToken) {
+    return res.status(401).json({ error: 'No refresh token provided' });
+  }
+
+  try {
+    const tokens = await refreshSession(refreshToken);
+    if (!tokens) {
+      clearSessionCookies(res);
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    setSessionCookies(res, tokens.accessToken, tokens.refreshToken);
+    res.status(200).json({ message: 'Tokens refreshed successfully', token: tokens.accessToken, refresh_token: tokens.refreshToken });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to refresh tokens' });
+  }
+});
+
 /**
  * @swagger
  * /auth/logout:
  *   delete:
- *     summary: Logs User Out By Deleting Token Cookies
+ *     summary: Logs User Out By Revoking The Session And Deleting Token Cookies
  *     responses:
  *       200:
  *         description: Logout successful
+ *       500:
+ *         description: Failed to logout
  */
-router.delete('/logout', (req, res) => {
-  res.clearCookie('token', { httpOnly: true, secure: true });
-  res.status(200).json({ message: 'Logout successful' });
+router.delete('/logout', async (req, res) => {
+  const token = getToken(req);
+  const { refresh_token } = req.cookies;
+
+  try {
+    // The refresh token still names the session after the access token expired
+    if (refresh_token) {
+      await revokeRefreshToken(refresh_token);
+    } else if (token) {
+      const account = await verifyToken(token);
+      await revokeSession(pool, account.email, account.session_id);
+    }
+
+    clearSessionCookies(res);
+    res.status(200).json({ message: 'Logout successful' });
+  } catch (error) {
+    // An invalid token has no session left to revoke
+    if (error instanceof jwt.JsonWebTokenError) {
+      clearSessionCookies(res);
+      return res.status(200).json({ message: 'Logout successful' });
+    }
+    console.error(error);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the devices signed in to the current account
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 4
+ *                       user_agent:
+ *                         type: string
+ *                         example: Mozilla/5.0
+ *                       ip:
+ *                         type: string
+ *                         example: 203.0.113.7
+ *                       created_at:
+ *                         type: string
+ *                         example: 2023-12-30T08:00:00Z
+ *                       last_used_at:
+ *                         type: string
+ *                         example: 2023-12-30T09:45:00Z
+ *                       expires_at:
+ *                         type: string
+ *                         example: 2024-01-29T08:00:00Z
+ *                       current:
+ *                         type: boolean
+ *                         example: true
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Failed to retrieve sessions
+ */
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = (await listSessions(req.user.email)).map((session) => ({
+      id: session.id,
+      user_agent: session.user_agent,
+      ip: session.ip,
+      created_at: formatDate(session.created_at),
+      last_used_at: session.last_used_at ? formatDate(session.last_used_at) : null,
+      expires_at: formatDate(session.expires_at),
+      current: session.id === req.user.session_id,
+    }));
+
+    res.status(200).json({ sessions });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to retrieve sessions' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign one device out of the current account
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the session
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Failed to revoke session
+ */
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidId(id)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  try {
+    if (!(await revokeSession(pool, req.user.email, id))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (Number(id) === req.user.session_id) {
+      clearSessionCookies(res);
+    }
+    res.status(200).json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   delete:
+ *     summary: Sign every device out of the current account, this one included
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Failed to revoke sessions
+ */
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(pool, req.user.email);
+
+    clearSessionCookies(res);
+    res.status(200).json({ message: 'Sessions revoked successfully', revoked });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Stores a new password and signs the account out everywhere, except on the session given in exceptSessionId
+async function replacePassword(email, password, exceptSessionId = null) {
+  const hashedPassword = await bcrypt.hash(password, 10);
+  return withTransaction(async (client) => {
+    const updateResult = await client.query('UPDATE users_js SET password = $1 WHERE email = $2', [hashedPassword, email]);
+    await revokeSessions(client, email, exceptSessionId);
+    return updateResult.rowCount > 0;
+  });
+}
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Email a code to reset a forgotten password
+ *     description: Answers the same whether or not the email has an account.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Reset code sent if the account exists
+ *       400:
+ *         description: Email is required
+ *       429:
+ *         description: Too many OTP requests for this email or IP
+ *       500:
+ *         description: Failed to send reset code
+ */
+router.post('/forgot-password', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  try {
+    const userResult = await pool.query('SELECT email FROM users_js WHERE email = $1', [email]);
+    if (userResult.rows.length > 0) {
+      const issued = await issueOtp(email, 'password_reset', req.ip);
+      if (issued.error) {
+        res.set('Retry-After', String(issued.retryAfter));
+        return res.status(issued.status).json({ error: issued.error });
+      }
+
+      await sendEmail({
+        to: email,
+        ...renderTemplate('otp', { otp: issued.otp, purpose: 'password_reset', expires_in_minutes: issued.expiresInMinutes }),
+      });
+    }
+
+    res.status(200).json({ message: 'If the account exists, a reset code has been sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to send reset code' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset code
+ *     description: Signs the account out on every device.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: user@example.com
+ *               otp:
+ *                 type: string
+ *                 example: "482913"
+ *               verification_token:
+ *                 type: string
+ *                 description: Token from /auth/verify-otp with purpose password_reset, sent instead of otp. It works once.
+ *               new_password:
+ *                 type: string
+ *                 example: new_password
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired code, or password too short
+ *       429:
+ *         description: Too many incorrect attempts
+ *       500:
+ *         description: Failed to reset password
+ */
+router.post('/reset-password', async (req, res) => {
+  const { email, otp, verification_token, new_password } = req.body;
+
+  if (!isValidPassword(new_password)) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    // Verify the reset code, or the token of a code verified earlier
+    if (verification_token) {
+      if (readVerificationToken(verification_token, 'password_reset') !== email || !(await consumeVerificationToken(verification_token))) {
+        return res.status(400).json({ error: 'Invalid verification token' });
+      }
+    } else {
+      const verification = await verifyOtp(email, 'password_reset', otp);
+      if (!verification.valid) {
+        return res.status(verification.status).json({ error: verification.error });
+      }
+    }
+
+    if (!(await replacePassword(email, new_password))) {
+      return res.status(400).json({ error: 'Invalid OTP' });
+    }
+
+    await sendEmail({ to: email, ...renderTemplate('password-changed', { email, reset: true }) });
+
+    clearSessionCookies(res);
+    res.status(200).json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change the password of the currently signed in account
+ *     description: Signs the account out on every other device.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *                 example: your_password
+ *               new_password:
+ *                 type: string
+ *                 example: new_password
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Current password is incorrect or new password too short
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Failed to change password
+ */
+router.post('/change-password', authenticate, async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  if (!isValidPassword(new_password)) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const userResult = await pool.query('SELECT * FROM users_js WHERE email = $1', [req.user.email]);
+    const user = userResult.rows[0];
+
+    // Verify the current password
+    const isMatch = await bcrypt.compare(current_password || '', user.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    // This device stays signed in
+    await replacePassword(user.email, new_password, req.user.session_id);
+    await sendEmail({ to: user.email, ...renderTemplate('password-changed', { email: user.email, reset: false }) });
+
+    res.status(200).json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
 });
 
 /**
@@ -247,37 +1138,68 @@ router.delete('/logout', (req, res) => {
  *                 user_type:
  *                   type: string
  *                   example: speaker
+ *                 time_zone:
+ *                   type: string
+ *                   example: Asia/Kolkata
  *                 expertise:
  *                   type: string 
  *                   example: "JavaScript, Node.js, Express"
  *                 price_per_session:
  *                   type: number
  *                   example: 100
+ *                 display_name:
+ *                   type: string
+ *                   example: Jane Doe
+ *                 bio:
+ *                   type: string
+ *                   nullable: true
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 languages:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 photo_url:
+ *                   type: string
+ *                   nullable: true
+ *                 currency:
+ *                   type: string
+ *                   example: INR
+ *                 meeting_provider:
+ *                   type: string
+ *                   example: jitsi
+ *                 meeting_link:
+ *                   type: string
+ *                   nullable: true
+ *                 average_rating:
+ *                   type: number
+ *                   nullable: true
+ *                   example: 4.6
+ *                 review_count:
+ *                   type: integer
+ *                   example: 12
  *       401:
  *         description: Unauthorized
  *       500:
  *         description: Failed to retrieve profile
  */
-router.get('/profile', async (req, res) => {
-  const token = req.cookies.token;
-
-  if (!token) {
-    return res.status(401).json({ error: 'No User Logged In' });
-  }
-
+router.get('/profile', authenticate, async (req, res) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userResult = await pool.query('SELECT email, user_type, expertise, price_per_session FROM users_js WHERE email = $1', [decoded.email]);
+    const userResult = await pool.query('SELECT * FROM users_js WHERE email = $1', [req.user.email]);
 
     if (userResult.rows.length === 0) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
     const user = userResult.rows[0];
-    if (user.user_type === 'user') {
-      res.status(200).json({ email: user.email, user_type: user.user_type });
+    const time_zone = user.time_zone || DEFAULT_TIME_ZONE;
+    if (user.user_type !== 'speaker') {
+      res.status(200).json({ email: user.email, user_type: user.user_type, time_zone });
     }else{
-      res.status(200).json({ email: user.email, user_type: user.user_type, expertise: user.expertise || 'N/A', price_per_session: user.price_per_session || 'Not Updated' });
+      const ratings = await getRatings([user.email]);
+      res.status(200).json({ ...serializeSpeaker(user, ratings.get(user.email)), ...serializeMeetingSettings(user), user_type: user.user_type, time_zone });
     }
   } catch (error) {
     console.error(error);
@@ -285,5 +1207,48 @@ router.get('/profile', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /auth/time-zone:
+ *   patch:
+ *     summary: Set the time zone of the currently signed in account
+ *     description: Speakers' working hours are read in this zone, and dates sent without an offset are read in it.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               time_zone:
+ *                 type: string
+ *                 example: Europe/Berlin
+ *     responses:
+ *       200:
+ *         description: Time zone updated successfully
+ *       400:
+ *         description: Invalid time zone
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Failed to update time zone
+ */
+router.patch('/time-zone', authenticate, async (req, res) => {
+  const { time_zone } = req.body;
+
+  if (!isValidTimeZone(time_zone)) {
+    return res.status(400).json({ error: 'Invalid time zone' });
+  }
+
+  try {
+    await pool.query('UPDATE users_js SET time_zone = $1 WHERE email = $2', [time_zone, req.user.email]);
+
+    res.status(200).json({ message: 'Time zone updated successfully', time_zone });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to update time zone' });
+  }
+});
+
 module.exports = router;
 
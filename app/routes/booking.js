@@ -1,23 +1,197 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { google } = require('googleapis');
-const sgMail = require('@sendgrid/mail');
 const pool = require('../utility/db'); // Import the PostgreSQL connection pool
-const formatDate = require('../utility/datetime');
+const { isValidTimeZone, parseDateTime, formatDate, formatInZone } = require('../utility/datetime');
+const { LISTED_SPEAKER, getTimeZones } = require('../utility/accounts');
+const { getSchedule, isBookable, overlapsBookings } = require('../utility/schedule');
+const { findSessionType, getSessionEnd, getBlockedUntil } = require('../utility/session-types');
+const { EXCLUSION_VIOLATION, withTransaction } = require('../utility/transaction');
+const { enqueue } = require('../utility/outbox');
+const { enqueueNotice, confirmBooking, confirmHold, confirmSeries, cancelBooking, cancelSeries } = require('../utility/booking-changes');
+const { MAX_SERIES_OCCURRENCES, SERIES_FREQUENCIES, getOccurrenceDates, countOccurrencesUntil } = require('../utility/series');
+const { getSessionPrice, getPaymentDeadline, startPayment } = require('../utility/payments');
+const { getReceipt } = require('../utility/receipts');
+const { getPagination } = require('../utility/pagination');
+const { isValidId } = require('../utility/params');
+const { deleteExpiredHolds } = require('../utility/holds');
+const { findBookingEvent, buildBookingFile } = require('../utility/calendar-feeds');
+const { offerFreedSlots } = require('../utility/waitlist');
+const { MAX_REVIEW_LENGTH, serializeReview } = require('../utility/reviews');
+const { authenticate, requireRole } = require('../middleware/auth');
 require('dotenv').config();
 
 const router = express.Router();
 
-// Configure SendGrid
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+// Every booking endpoint needs a signed in account
+router.use(authenticate);
 
-// Configure Google Calendar API
-const oAuth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI
-);
-oAuth2Client.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
+const INVALID_TIME_ERROR = 'Invalid session time. Sessions must start in the future, at one of the speaker\'s slots within their working hours.';
+const SLOT_TAKEN_ERROR = 'Speaker already has a booking for this slot';
+
+// Minutes a held slot stays reserved while the user confirms
+const HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES) || 5;
+
+// all_or_nothing books a series only if every session is free, skip_conflicts books the free ones
+const SERIES_MODES = ['all_or_nothing', 'skip_conflicts'];
+
+// Returns the start of a session, or null if it is not in the future or the speaker's schedule does not allow
+// a session of this type then. Dates without an offset are read in the given time zone.
+function getSessionStart(schedule, session_date, sessionType, timeZone) {
+  const sessionTime = parseDateTime(session_date, timeZone);
+  if (!sessionTime || sessionTime <= new Date() || !isBookable(schedule, sessionTime, sessionType)) {
+    return null;
+  }
+  return sessionTime;
+}
+
+// Duration and buffer of an existing booking, so a rescheduled session keeps its length
+function getBookedSessionType(booking) {
+  const start = new Date(booking.session_date).getTime();
+  const end = new Date(booking.session_end).getTime();
+  return {
+    duration_minutes: (end - start) / 60000,
+    buffer_minutes: (new Date(booking.blocked_until).getTime() - end) / 60000,
+  };
+}
+
+// Validates a booking request of a user and works out the session's time range.
+// Returns { error, status } when the request cannot be booked.
+async function prepareSession(user_email, { speaker_email, session_date, session_type_id, time_zone }) {
+  if (time_zone && !isValidTimeZone(time_zone)) {
+    return { status: 400, error: 'Invalid time zone' };
+  }
+
+  // Check if the speaker is available
+  const speakerResult = await pool.query(`SELECT * FROM users_js WHERE email = $1 AND ${LISTED_SPEAKER}`, [speaker_email]);
+  if (speakerResult.rows.length === 0) {
+    return { status: 400, error: 'Speaker not available' };
+  }
+
+  // Find the requested session type
+  const sessionType = await findSessionType(speaker_email, session_type_id);
+  if (!sessionType) {
+    return { status: 400, error: 'Invalid session type' };
+  }
+
+  // Validate session time against the speaker's schedule, in the speaker's time zone
+  const timeZones = await getTimeZones([user_email]);
+  const schedule = await getSchedule(speaker_email);
+  const sessionStart = session_date ? getSessionStart(schedule, session_date, sessionType, time_zone || timeZones.get(user_email)) : null;
+  if (!sessionStart) {
+    return { status: 400, error: INVALID_TIME_ERROR };
+  }
+
+  return {
+    speakerEmail: speaker_email,
+    sessionType,
+    sessionStart,
+    sessionEnd: getSessionEnd(sessionStart, sessionType),
+    blockedUntil: getBlockedUntil(sessionStart, sessionType),
+  };
+}
+
+// Inserts a booking row. The bookings_no_overlap constraint rejects it if the speaker is already busy.
+// Sessions of a series have session.seriesId set.
+async function insertBooking(client, user_email, session, status, holdExpiresAt = null) {
+  await deleteExpiredHolds(client, session.speakerEmail);
+
+  const insertResult = await client.query(
+    `INSERT INTO bookings (user_email, speaker_email, session_date, session_end, blocked_until, session_type_id, status, hold_expires_at, series_id, series_occurrence)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+    [
+      user_email, session.speakerEmail, session.sessionStart, session.sessionEnd, session.blockedUntil, session.sessionType.id, status, holdExpiresAt,
+      session.seriesId || null, session.seriesId ? session.sessionStart : null,
+    ]
+  );
+  return insertResult.rows[0];
+}
+
+// Validates a series request of a user and works out the start of each of its sessions.
+// Sessions the speaker's schedule or existing bookings do not allow are returned in conflicts.
+// Returns { error, status } when the request is invalid.
+async function prepareSeries(user_email, { speaker_email, session_date, session_type_id, time_zone, frequency, count, until }) {
+  if (time_zone && !isValidTimeZone(time_zone)) {
+    return { status: 400, error: 'Invalid time zone' };
+  }
+  const intervalWeeks = SERIES_FREQUENCIES[frequency];
+  if (!intervalWeeks) {
+    return { status: 400, error: `Invalid frequency. Use ${Object.keys(SERIES_FREQUENCIES).join(' or ')}.` };
+  }
+  if ((count === undefined) === (until === undefined)) {
+    return { status: 400, error: 'Give either count or until' };
+  }
+  if (count !== undefined && (!Number.isInteger(count) || count < 2 || count > MAX_SERIES_OCCURRENCES)) {
+    return { status: 400, error: `count must be a whole number from 2 to ${MAX_SERIES_OCCURRENCES}` };
+  }
+
+  // Check if the speaker is available
+  const speakerResult = await pool.query(`SELECT * FROM users_js WHERE email = $1 AND ${LISTED_SPEAKER}`, [speaker_email]);
+  if (speakerResult.rows.length === 0) {
+    return { status: 400, error: 'Speaker not available' };
+  }
+
+  // Find the requested session type
+  const sessionType = await findSessionType(speaker_email, session_type_id);
+  if (!sessionType) {
+    return { status: 400, error: 'Invalid session type' };
+  }
+
+  // Dates are read in the requested time zone, sessions repeat at the same time in the speaker's
+  const timeZone = time_zone || (await getTimeZones([user_email])).get(user_email);
+  const schedule = await getSchedule(speaker_email);
+  const firstDate = session_date ? parseDateTime(session_date, timeZone) : null;
+  if (!firstDate || firstDate <= new Date()) {
+    return { status: 400, error: INVALID_TIME_ERROR };
+  }
+
+  let occurrences = count;
+  if (until !== undefined) {
+    // A plain date includes sessions starting on that day
+    const untilDate = parseDateTime(/^\d{4}-\d{2}-\d{2}$/.test(until) ? `${until}T23:59:59` : until, timeZone);
+    if (!untilDate) {
+      return { status: 400, error: 'Invalid until date' };
+    }
+    occurrences = countOccurrencesUntil(firstDate, intervalWeeks, untilDate, schedule.timeZone);
+    if (occurrences < 2) {
+      return { status: 400, error: 'A series needs at least two sessions before until' };
+    }
+  }
+
+  const series = { interval_weeks: intervalWeeks, first_session_date: firstDate, occurrences, time_zone: schedule.timeZone };
+  const dates = getOccurrenceDates(series);
+
+  // Bookings, live holds and unpaid bookings the sessions could overlap
+  const bookingsResult = await pool.query(
+    `SELECT session_date, blocked_until FROM bookings
+     WHERE speaker_email = $1 AND blocked_until > $2 AND session_date < $3
+       AND cancelled_at IS NULL AND (hold_expires_at IS NULL OR hold_expires_at > NOW())`,
+    [speaker_email, dates[0], getBlockedUntil(dates[dates.length - 1], sessionType)]
+  );
+
+  const sessions = [];
+  const conflicts = [];
+  for (const date of dates) {
+    if (isBookable(schedule, date, sessionType) && !overlapsBookings(bookingsResult.rows, date, sessionType)) {
+      sessions.push(date);
+    } else {
+      conflicts.push(date);
+    }
+  }
+
+  return { speakerEmail: speaker_email, sessionType, series, sessions, conflicts, timeZone };
+}
+
+// Loads an active booking and checks that the logged in account is one of its parties
+async function findOwnBooking(id, email) {
+  const bookingResult = await pool.query("SELECT * FROM bookings WHERE id = $1 AND status = 'confirmed' AND cancelled_at IS NULL", [id]);
+  const booking = bookingResult.rows[0];
+  if (!booking) {
+    return { status: 404, error: 'Booking not found' };
+  }
+  if (booking.user_email !== email && booking.speaker_email !== email) {
+    return { status: 403, error: 'You can only change your own bookings' };
+  }
+  return { booking };
+}
 
 /**
  * @swagger
@@ -38,99 +212,1156 @@ oAuth2Client.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN })
  *                 type: string
  *                 format: date-time
  *                 example: 2023-12-31T10:00:00
+ *                 description: Dates without an offset are read in time_zone
+ *               time_zone:
+ *                 type: string
+ *                 example: Asia/Kolkata
+ *                 description: Defaults to the time zone of the signed in user
+ *               session_type_id:
+ *                 type: integer
+ *                 example: 1
+ *                 description: One of the speaker's session types, defaults to the shortest one
+ *               hold_id:
+ *                 type: integer
+ *                 example: 12
+ *                 description: Confirms a slot held with /booking/hold instead of the other fields
  *     responses:
  *       200:
- *         description: Session booked successfully
+ *         description: Free session booked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 booking_id:
+ *                   type: integer
+ *                   example: 12
+ *                 meeting_url:
+ *                   type: string
+ *                   nullable: true
+ *                   example: https://meet.jit.si/session-3f9a1c7e5b2d4a6f8e0c1b3d
+ *                   description: Link to join the session. Null while a Google Meet waits for its calendar event, it is emailed once created.
+ *       202:
+ *         description: Paid session reserved until expires_at. The booking is confirmed once the payment at checkout_url succeeds.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 booking_id:
+ *                   type: integer
+ *                   example: 12
+ *                 payment_id:
+ *                   type: integer
+ *                   example: 3
+ *                 checkout_url:
+ *                   type: string
+ *                   example: http://localhost:10000/payments/fake/fake_pay_1a2b3c?payment_id=3
+ *                 amount:
+ *                   type: number
+ *                   example: 100
+ *                 currency:
+ *                   type: string
+ *                   example: INR
+ *                 expires_at:
+ *                   type: string
+ *                   example: 2023-12-30T08:15:00Z
  *       400:
  *         description: Invalid request or speaker not available
+ *       409:
+ *         description: Speaker already has a booking for this slot. Join the waitlist for it with POST /waitlist.
+ *       410:
+ *         description: Hold not found or expired
  *       500:
  *         description: Failed to book session
  */
-router.post('/book-session', async (req, res) => {
-  const { speaker_email, session_date } = req.body;
-  const token = req.cookies.token;
+router.post('/book-session', requireRole('user'), async (req, res) => {
+  const { hold_id } = req.body;
+
+  try {
+    const user_email = req.user.email;
+
+    let session;
+    if (!hold_id) {
+      session = await prepareSession(user_email, req.body);
+      if (session.error) {
+        return res.status(session.status).json({ error: session.error });
+      }
+    }
+
+    // Create the booking in one transaction. Free sessions are confirmed and their email and calendar
+    // event queued, paid ones wait for the payment until the deadline.
+    const result = await withTransaction(async (client) => {
+      if (hold_id) {
+        // Confirm a slot the user is holding
+        const holdResult = await client.query(
+          "SELECT * FROM bookings WHERE id = $1 AND user_email = $2 AND status = 'held' AND hold_expires_at > NOW() FOR UPDATE",
+          [hold_id, user_email]
+        );
+        const hold = holdResult.rows[0];
+        if (!hold) {
+          return null;
+        }
+        return confirmHold(client, hold);
+      }
+
+      // The overlap check is part of the insert
+      const price = await getSessionPrice(client, session.speakerEmail, session.sessionType.id);
+      const newBooking = price.amount > 0
+        ? await insertBooking(client, user_email, session, 'pending_payment', getPaymentDeadline())
+        : await insertBooking(client, user_email, session, 'confirmed');
+
+      if (newBooking.status === 'pending_payment') {
+        const payment = await startPayment(client, newBooking, price);
+        return { booking: newBooking, payment };
+      }
+
+      return { booking: await confirmBooking(client, newBooking) };
+    });
+    if (!result) {
+      return res.status(410).json({ error: 'Hold not found or expired' });
+    }
+
+    const { booking, payment } = result;
+    if (payment) {
+      return res.status(202).json({
+        message: 'Complete the payment to confirm the session',
+        booking_id: booking.id,
+        payment_id: payment.id,
+        checkout_url: payment.checkout_url,
+        amount: Number(payment.amount),
+        currency: payment.currency,
+        expires_at: formatDate(new Date(booking.hold_expires_at)),
+      });
+    }
+
+    // Null while a Google Meet waits for the calendar event, its link is emailed once it exists
+    res.status(200).json({ message: 'Session booked successfully', booking_id: booking.id, meeting_url: booking.meeting_url });
+  } catch (error) {
+    console.error(error);
+    if (error.code === EXCLUSION_VIOLATION) {
+      return res.status(409).json({ error: SLOT_TAKEN_ERROR });
+    }
+    res.status(500).json({ error: 'Failed to book session' });
+  }
+});
 
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
+/**
+ * @swagger
+ * /booking/series:
+ *   post:
+ *     summary: Book a recurring series of sessions with a speaker
+ *     description: >
+ *       Sessions repeat weekly or every other week at the time of the first session in the speaker's time zone, for count
+ *       sessions or until a date, at most 52. Every session is checked against the speaker's schedule and bookings.
+ *       Paid series are confirmed once the one payment for all sessions succeeds, like book-session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               speaker_email:
+ *                 type: string
+ *                 example: speaker@example.com
+ *               session_date:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2023-12-31T10:00:00
+ *                 description: Start of the first session. Dates without an offset are read in time_zone.
+ *               time_zone:
+ *                 type: string
+ *                 example: Asia/Kolkata
+ *                 description: Defaults to the time zone of the signed in user
+ *               session_type_id:
+ *                 type: integer
+ *                 example: 1
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, biweekly]
+ *               count:
+ *                 type: integer
+ *                 example: 6
+ *                 description: Number of sessions, give either count or until
+ *               until:
+ *                 type: string
+ *                 example: 2024-03-31
+ *                 description: Last day a session can start on
+ *               mode:
+ *                 type: string
+ *                 enum: [all_or_nothing, skip_conflicts]
+ *                 default: all_or_nothing
+ *                 description: all_or_nothing books nothing if a session is not free, skip_conflicts books the free ones
+ *     responses:
+ *       201:
+ *         description: Free series booked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 series_id:
+ *                   type: integer
+ *                   example: 3
+ *                 bookings:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 21
+ *                       session_date:
+ *                         type: string
+ *                         example: 2023-12-31T10:00:00+05:30
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: 2024-01-07T10:00:00+05:30
+ *                 meeting_url:
+ *                   type: string
+ *                   nullable: true
+ *                   example: https://meet.jit.si/session-3f9a1c7e5b2d4a6f8e0c1b3d
+ *                   description: Link shared by all sessions of the series, null while a Google Meet waits for its calendar event
+ *       202:
+ *         description: Paid series reserved until expires_at, with the payment fields of book-session
+ *       400:
+ *         description: Invalid request or speaker not available
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only users can book sessions
+ *       409:
+ *         description: Sessions of the series are not free, listed in conflicts
+ *       500:
+ *         description: Failed to book series
+ */
+router.post('/series', requireRole('user'), async (req, res) => {
+  const mode = req.body.mode || 'all_or_nothing';
+  if (!SERIES_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode. Use ${SERIES_MODES.join(' or ')}.` });
   }
 
   try {
-    // Verify and decode the token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user_email = decoded.email;
-    const user_type = decoded.user_type;
+    const user_email = req.user.email;
+    const prepared = await prepareSeries(user_email, req.body);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error });
+    }
+
+    const { speakerEmail, sessionType, series, sessions, conflicts, timeZone } = prepared;
+    if (sessions.length === 0 || (mode === 'all_or_nothing' && conflicts.length > 0)) {
+      return res.status(409).json({
+        error: sessions.length === 0 ? 'None of the sessions of the series can be booked' : 'Some sessions of the series cannot be booked',
+        conflicts: conflicts.map((date) => formatInZone(date, timeZone)),
+      });
+    }
+
+    // Create the series and its bookings in one transaction, the overlap check is part of each insert
+    const result = await withTransaction(async (client) => {
+      const price = await getSessionPrice(client, speakerEmail, sessionType.id);
+      const paid = price.amount > 0;
+      const deadline = paid ? getPaymentDeadline() : null;
 
-    // Check if the user is of type 'user'
-    if (user_type !== 'user') {
-      return res.status(403).json({ error: 'Only users can book sessions' });
+      const seriesResult = await client.query(
+        `INSERT INTO booking_series (user_email, speaker_email, session_type_id, interval_weeks, first_session_date, occurrences, time_zone)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [user_email, speakerEmail, sessionType.id, series.interval_weeks, series.first_session_date, series.occurrences, series.time_zone]
+      );
+      const newSeries = seriesResult.rows[0];
+
+      const bookings = [];
+      const skipped = [...conflicts];
+      for (const date of sessions) {
+        const session = {
+          speakerEmail,
+          sessionType,
+          sessionStart: date,
+          sessionEnd: getSessionEnd(date, sessionType),
+          blockedUntil: getBlockedUntil(date, sessionType),
+          seriesId: newSeries.id,
+        };
+
+        // In skip_conflicts mode a slot taken since the check above is skipped as well
+        if (mode === 'skip_conflicts') await client.query('SAVEPOINT series_session');
+        try {
+          bookings.push(await insertBooking(client, user_email, session, paid ? 'pending_payment' : 'confirmed', deadline));
+        } catch (error) {
+          if (mode !== 'skip_conflicts' || error.code !== EXCLUSION_VIOLATION) throw error;
+          await client.query('ROLLBACK TO SAVEPOINT series_session');
+          skipped.push(date);
+        }
+      }
+      if (bookings.length === 0) {
+        return null;
+      }
+
+      if (paid) {
+        const amount = Math.round(price.amount * bookings.length * 100) / 100;
+        const payment = await startPayment(client, bookings[0], { amount, currency: price.currency, seriesId: newSeries.id });
+        return { series: newSeries, bookings, skipped, payment };
+      }
+
+      return { series: newSeries, bookings: await confirmSeries(client, newSeries, bookings), skipped };
+    });
+    if (!result) {
+      return res.status(409).json({ error: 'None of the sessions of the series can be booked' });
     }
 
-    // Check if the speaker is available
-    const speakerResult = await pool.query('SELECT * FROM users_js WHERE email = $1 AND user_type = $2', [speaker_email, 'speaker']);
-    if (speakerResult.rows.length === 0) {
-      return res.status(400).json({ error: 'Speaker not available' });
+    const body = {
+      series_id: result.series.id,
+      bookings: result.bookings.map((booking) => ({ id: booking.id, session_date: formatInZone(new Date(booking.session_date), timeZone) })),
+      skipped: result.skipped.sort((a, b) => a - b).map((date) => formatInZone(date, timeZone)),
+    };
+    if (result.payment) {
+      return res.status(202).json({
+        message: 'Complete the payment to confirm the sessions',
+        ...body,
+        payment_id: result.payment.id,
+        checkout_url: result.payment.checkout_url,
+        amount: Number(result.payment.amount),
+        currency: result.payment.currency,
+        expires_at: formatDate(new Date(result.bookings[0].hold_expires_at)),
+      });
     }
 
-    // Validate session time
-    const sessionTime = new Date(session_date+'+05:30');
-    const hour = session_date.toString().split('T')[1].split(':')[0];
-    const minutes = session_date.toString().split('T')[1].split(':')[1];
-    if (hour < 9 || hour > 16 || minutes != 0) {
-      return res.status(400).json({ error: 'Invalid session time. Sessions can only be booked between 9 a.m. and 4 p.m. at hourly intervals.' });
+    res.status(201).json({ message: 'Sessions booked successfully', ...body, meeting_url: result.bookings[0].meeting_url });
+  } catch (error) {
+    console.error(error);
+    if (error.code === EXCLUSION_VIOLATION) {
+      return res.status(409).json({ error: SLOT_TAKEN_ERROR });
     }
+    res.status(500).json({ error: 'Failed to book series' });
+  }
+});
 
-    // Calculate slot number
-    const slot = hour - 9; // Slot 0 for 9 a.m., Slot 1 for 10 a.m., ..., Slot 7 for 4 p.m.
+/**
+ * @swagger
+ * /booking/series/{id}:
+ *   delete:
+ *     summary: Cancel the rest of a recurring series
+ *     description: >
+ *       Cancels every upcoming session of the series, or with from_booking_id that session and the ones after it.
+ *       Can be called by the user who booked the series or by the speaker. Cancel a single session with DELETE /booking/{id}.
+ *       Refunds follow the same rules as single sessions.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the series
+ *       - in: query
+ *         name: from_booking_id
+ *         schema:
+ *           type: integer
+ *         description: First session of the series to cancel
+ *     responses:
+ *       200:
+ *         description: Sessions cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cancelled:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   example: [22, 23, 24]
+ *                 refund:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     amount:
+ *                       type: number
+ *                       example: 300
+ *                     currency:
+ *                       type: string
+ *                       example: INR
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Series belongs to another account
+ *       404:
+ *         description: Series not found or no upcoming sessions left
+ *       500:
+ *         description: Failed to cancel series
+ */
+router.delete('/series/:id', async (req, res) => {
+  const { id } = req.params;
+  const { from_booking_id } = req.query;
+
+  if (!isValidId(id)) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+  if (from_booking_id && !isValidId(from_booking_id)) {
+    return res.status(404).json({ error: 'Booking not found in this series' });
+  }
+
+  try {
+    const seriesResult = await pool.query('SELECT * FROM booking_series WHERE id = $1', [id]);
+    const series = seriesResult.rows[0];
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    if (series.user_email !== req.user.email && series.speaker_email !== req.user.email) {
+      return res.status(403).json({ error: 'You can only change your own bookings' });
+    }
 
-    // Check if the speaker already has a booking for the same slot
-    const bookingResult = await pool.query('SELECT * FROM bookings WHERE speaker_email = $1 AND slot = $2 AND DATE(session_date) = DATE($3)', [speaker_email, slot, session_date]);
-    if (bookingResult.rows.length > 0) {
-      return res.status(400).json({ error: 'Speaker already has a booking for this slot' });
+    // Sessions that already started stay as they are
+    let from = new Date();
+    if (from_booking_id) {
+      const bookingResult = await pool.query('SELECT session_date FROM bookings WHERE id = $1 AND series_id = $2', [from_booking_id, series.id]);
+      if (bookingResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Booking not found in this series' });
+      }
+      const sessionDate = new Date(bookingResult.rows[0].session_date);
+      if (sessionDate > from) from = sessionDate;
     }
 
-    // Create booking in the database
-    await pool.query('INSERT INTO bookings (user_email, speaker_email, session_date, slot) VALUES ($1, $2, $3, $4)', [user_email, speaker_email, session_date, slot]);
+    const { bookings, refund } = await cancelSeries(series, req.user.email, from);
+    if (bookings.length === 0) {
+      return res.status(404).json({ error: 'No upcoming sessions left to cancel' });
+    }
 
-    // Send email reminder
-    const msg = {
-      to: [user_email, speaker_email],
-      from: process.env.EMAIL_FROM,
-      subject: 'Session Booking Confirmation',
-      text: `Your session has been booked successfully for ${session_date}.`,
-    };
-    await sgMail.send(msg);
-
-    // Create Google Calendar event
-    const calendar = google.calendar({ version: 'v3', auth: oAuth2Client });
-    const event = {
-      summary: 'Session Booking',
-      description: 'Session with speaker',
-      start: {
-        dateTime: session_date,
-        timeZone: 'IST',
-      },
-      end: {
-        dateTime: new Date(sessionTime.getTime() + 60 * 60 * 1000), // Add 1 hour to the start time
-        timeZone: 'IST',
-      },
-      attendees: [
-        { email: user_email },
-        { email: speaker_email },
-      ],
-    };
-    await calendar.events.insert({
-      calendarId: 'primary',
-      resource: event,
-      sendUpdates: 'all', // Send email invites to all attendees
+    res.status(200).json({ message: 'Sessions cancelled successfully', cancelled: bookings.map((booking) => booking.id), refund });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to cancel series' });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/hold:
+ *   post:
+ *     summary: Reserve a slot for a few minutes while the user confirms
+ *     description: Takes the same fields as book-session. Confirm the hold by calling book-session with hold_id before expires_at.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               speaker_email:
+ *                 type: string
+ *                 example: speaker@example.com
+ *               session_date:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2023-12-31T10:00:00
+ *               time_zone:
+ *                 type: string
+ *                 example: Asia/Kolkata
+ *               session_type_id:
+ *                 type: integer
+ *                 example: 1
+ *     responses:
+ *       201:
+ *         description: Slot held successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 hold_id:
+ *                   type: integer
+ *                   example: 12
+ *                 expires_at:
+ *                   type: string
+ *                   example: 2023-12-30T08:05:00Z
+ *       400:
+ *         description: Invalid request or speaker not available
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only users can hold slots
+ *       409:
+ *         description: Speaker already has a booking for this slot
+ *       500:
+ *         description: Failed to hold slot
+ */
+router.post('/hold', requireRole('user'), async (req, res) => {
+  try {
+    const session = await prepareSession(req.user.email, req.body);
+    if (session.error) {
+      return res.status(session.status).json({ error: session.error });
+    }
+
+    // Reserve the slot, the overlap check is part of the insert
+    const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+    const hold = await withTransaction((client) => insertBooking(client, req.user.email, session, 'held', expiresAt));
+
+    res.status(201).json({ message: 'Slot held successfully', hold_id: hold.id, expires_at: formatDate(expiresAt) });
+  } catch (error) {
+    console.error(error);
+    if (error.code === EXCLUSION_VIOLATION) {
+      return res.status(409).json({ error: SLOT_TAKEN_ERROR });
+    }
+    res.status(500).json({ error: 'Failed to hold slot' });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/hold/{id}:
+ *   delete:
+ *     summary: Release a held slot without booking it
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the hold
+ *     responses:
+ *       200:
+ *         description: Hold released successfully
+ *       401:
+ *         description: No token provided or invalid token
+ *       404:
+ *         description: Hold not found
+ *       500:
+ *         description: Failed to release hold
+ */
+router.delete('/hold/:id', async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidId(id)) {
+    return res.status(404).json({ error: 'Hold not found' });
+  }
+
+  try {
+    const deleteResult = await pool.query(
+      "DELETE FROM bookings WHERE id = $1 AND user_email = $2 AND status = 'held'",
+      [id, req.user.email]
+    );
+    if (deleteResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Hold not found' });
+    }
+
+    res.status(200).json({ message: 'Hold released successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to release hold' });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/mine:
+ *   get:
+ *     summary: List sessions of the currently signed in account
+ *     description: A user sees the sessions they booked, a speaker sees the sessions booked with them.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [upcoming, past, cancelled]
+ *         description: Only return sessions with this status
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return sessions starting at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return sessions starting at or before this date
+ *       - in: query
+ *         name: time_zone
+ *         schema:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         description: IANA time zone used to read from and to and to show session times. Defaults to the time zone of the signed in account.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 bookings:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 1
+ *                       counterpart_email:
+ *                         type: string
+ *                         example: speaker@example.com
+ *                       session_date:
+ *                         type: string
+ *                         example: 2023-12-31T10:00:00+05:30
+ *                       session_end:
+ *                         type: string
+ *                         example: 2023-12-31T11:00:00+05:30
+ *                       session_type:
+ *                         type: string
+ *                         example: Mentoring call
+ *                       status:
+ *                         type: string
+ *                         example: upcoming
+ *                       price_per_session:
+ *                         type: number
+ *                         example: 100
+ *                       calendar_event_link:
+ *                         type: string
+ *                         example: https://www.google.com/calendar/event?eid=abc
+ *                       series_id:
+ *                         type: integer
+ *                         nullable: true
+ *                         example: 3
+ *                       meeting_url:
+ *                         type: string
+ *                         nullable: true
+ *                         example: https://meet.google.com/abc-defg-hij
+ *                         description: Link to join the session, null for cancelled sessions and while a Google Meet is being created
+ *       400:
+ *         description: Invalid filter or time zone
+ *       401:
+ *         description: No token provided or invalid token
+ *       500:
+ *         description: Failed to retrieve bookings
+ */
+router.get('/mine', async (req, res) => {
+  const { status, from, to } = req.query;
+
+  const { page, limit, offset } = getPagination(req.query);
+
+  if (status && !['upcoming', 'past', 'cancelled'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status. Use upcoming, past or cancelled.' });
+  }
+  if (req.query.time_zone && !isValidTimeZone(req.query.time_zone)) {
+    return res.status(400).json({ error: 'Invalid time zone' });
+  }
+
+  try {
+    const timeZone = req.query.time_zone || (await getTimeZones([req.user.email])).get(req.user.email);
+
+    // Read the date range in the requested time zone
+    const fromDate = from ? parseDateTime(from, timeZone) : null;
+    const toDate = to ? parseDateTime(to, timeZone) : null;
+    if ((from && !fromDate) || (to && !toDate)) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const ownColumn = req.user.user_type === 'speaker' ? 'speaker_email' : 'user_email';
+    const counterpartColumn = req.user.user_type === 'speaker' ? 'user_email' : 'speaker_email';
+
+    // Build the filters
+    const params = [req.user.email];
+    const conditions = [`b.${ownColumn} = $1`, "b.status = 'confirmed'"];
+    const now = formatDate(new Date());
+
+    if (status === 'upcoming') {
+      params.push(now);
+      conditions.push(`b.cancelled_at IS NULL AND b.session_date >= $${params.length}`);
+    } else if (status === 'past') {
+      params.push(now);
+      conditions.push(`b.cancelled_at IS NULL AND b.session_date < $${params.length}`);
+    } else if (status === 'cancelled') {
+      conditions.push('b.cancelled_at IS NOT NULL');
+    }
+    if (fromDate) {
+      params.push(fromDate);
+      conditions.push(`b.session_date >= $${params.length}`);
+    }
+    if (toDate) {
+      params.push(toDate);
+      conditions.push(`b.session_date <= $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+    const order = status === 'upcoming' ? 'ASC' : 'DESC';
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM bookings b WHERE ${where}`, params);
+
+    const bookingsResult = await pool.query(
+      `SELECT b.id, b.${counterpartColumn} AS counterpart_email, b.session_date, b.session_end, b.cancelled_at, b.calendar_event_link, b.series_id, b.meeting_url,
+         t.name AS session_type, COALESCE(t.price, s.price_per_session) AS price_per_session
+       FROM bookings b
+       JOIN users_js s ON s.email = b.speaker_email
+       LEFT JOIN session_types t ON t.id = b.session_type_id
+       WHERE ${where}
+       ORDER BY b.session_date ${order}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const currentDate = new Date();
+    const bookings = bookingsResult.rows.map((booking) => {
+      const sessionDate = new Date(booking.session_date);
+      let bookingStatus = sessionDate >= currentDate ? 'upcoming' : 'past';
+      if (booking.cancelled_at) {
+        bookingStatus = 'cancelled';
+      }
+
+      return {
+        id: booking.id,
+        counterpart_email: booking.counterpart_email,
+        session_date: formatInZone(sessionDate, timeZone),
+        session_end: formatInZone(new Date(booking.session_end), timeZone),
+        session_type: booking.session_type || 'Session',
+        status: bookingStatus,
+        price_per_session: booking.price_per_session !== null ? booking.price_per_session : 'Not Updated',
+        calendar_event_link: booking.calendar_event_link || null,
+        series_id: booking.series_id,
+        meeting_url: booking.cancelled_at ? null : booking.meeting_url,
+      };
     });
 
-    res.status(200).json({ message: 'Session booked successfully' });
+    res.status(200).json({ page, limit, total: Number(countResult.rows[0].count), bookings });
   } catch (error) {
     console.error(error);
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({ error: 'Invalid token' });
+    res.status(500).json({ error: 'Failed to retrieve bookings' });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{id}:
+ *   delete:
+ *     summary: Cancel a booked session
+ *     description: >
+ *       Can be called by the user who booked the session or by the speaker. Paid sessions are refunded in full when
+ *       the speaker cancels or the user cancels at least REFUND_FULL_HOURS (default 24) ahead, REFUND_LATE_PERCENT
+ *       (default 50) is refunded for later cancellations and nothing once the session started.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the booking
+ *     responses:
+ *       200:
+ *         description: Session cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 refund:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     amount:
+ *                       type: number
+ *                       example: 50
+ *                     currency:
+ *                       type: string
+ *                       example: INR
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Booking belongs to another account
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Failed to cancel session
+ */
+router.delete('/:id', async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidId(id)) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+
+  try {
+    const { booking, status, error } = await findOwnBooking(id, req.user.email);
+    if (!booking) {
+      return res.status(status).json({ error });
     }
-    res.status(500).json({ error: 'Failed to book session' });
+
+    // Free the slot and queue the calendar and email updates and any refund
+    const cancelled = await cancelBooking(booking.id, req.user.email);
+    if (!cancelled) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    res.status(200).json({ message: 'Session cancelled successfully', refund: cancelled.refund });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to cancel session' });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{id}/reschedule:
+ *   patch:
+ *     summary: Move a booked session to another slot
+ *     description: Can be called by the user who booked the session or by the speaker.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the booking
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               session_date:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2023-12-31T11:00:00
+ *                 description: Dates without an offset are read in time_zone
+ *               time_zone:
+ *                 type: string
+ *                 example: Asia/Kolkata
+ *                 description: Defaults to the time zone of the signed in account
+ *     responses:
+ *       200:
+ *         description: Session rescheduled successfully
+ *       400:
+ *         description: Invalid session time
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Booking belongs to another account
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Speaker already has a booking for this slot
+ *       500:
+ *         description: Failed to reschedule session
+ */
+router.patch('/:id/reschedule', async (req, res) => {
+  const { id } = req.params;
+  const { session_date, time_zone } = req.body;
+
+  if (!isValidId(id)) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+
+  if (time_zone && !isValidTimeZone(time_zone)) {
+    return res.status(400).json({ error: 'Invalid time zone' });
+  }
+
+  try {
+    const { booking, status, error } = await findOwnBooking(id, req.user.email);
+    if (!booking) {
+      return res.status(status).json({ error });
+    }
+
+    // Validate the new session time against the speaker's schedule, in the speaker's time zone
+    const sessionType = getBookedSessionType(booking);
+    const timeZones = await getTimeZones([booking.user_email, booking.speaker_email]);
+    const schedule = await getSchedule(booking.speaker_email);
+    const sessionStart = session_date ? getSessionStart(schedule, session_date, sessionType, time_zone || timeZones.get(req.user.email)) : null;
+    if (!sessionStart) {
+      return res.status(400).json({ error: INVALID_TIME_ERROR });
+    }
+    const sessionEnd = getSessionEnd(sessionStart, sessionType);
+    const blockedUntil = getBlockedUntil(sessionStart, sessionType);
+
+    // Move the booking to the new time and queue the calendar and email updates in one transaction.
+    // The overlap check is part of the update.
+    await withTransaction(async (client) => {
+      await deleteExpiredHolds(client, booking.speaker_email);
+      const rescheduleResult = await client.query(
+        'UPDATE bookings SET session_date = $1, session_end = $2, blocked_until = $3 WHERE id = $4 RETURNING *',
+        [sessionStart, sessionEnd, blockedUntil, id]
+      );
+      // Reminders sent for the old time are due again for the new one
+      await client.query('DELETE FROM booking_reminders WHERE booking_id = $1', [id]);
+      // A session of a series gets an event of its own once moved out of the recurring event
+      await enqueue(client, booking.series_id && !booking.calendar_event_id ? 'calendar.create' : 'calendar.update', { booking_id: booking.id });
+      if (booking.series_id) {
+        await enqueue(client, 'calendar.series.sync', { series_id: booking.series_id });
+      }
+      await enqueueNotice(client, 'booking-rescheduled', rescheduleResult.rows[0], {
+        rescheduled_by: req.user.email,
+        previous_session_date: booking.session_date,
+      });
+      // The old time is free for the waitlist
+      await offerFreedSlots(client, booking.speaker_email);
+    });
+
+    res.status(200).json({ message: 'Session rescheduled successfully' });
+  } catch (error) {
+    console.error(error);
+    if (error.code === EXCLUSION_VIOLATION) {
+      return res.status(409).json({ error: SLOT_TAKEN_ERROR });
+    }
+    res.status(500).json({ error: 'Failed to reschedule session' });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{id}/receipt:
+ *   get:
+ *     summary: Get the receipt of a paid session
+ *     description: Only the user who paid can read the receipt. Refunds are included once they are made.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the booking
+ *     responses:
+ *       200:
+ *         description: Receipt of the booking
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 receipt_number:
+ *                   type: string
+ *                   example: RCPT-2023-000042
+ *                 booking_id:
+ *                   type: integer
+ *                   example: 12
+ *                 paid_by:
+ *                   type: string
+ *                   example: user@example.com
+ *                 speaker_email:
+ *                   type: string
+ *                   example: speaker@example.com
+ *                 speaker_name:
+ *                   type: string
+ *                   example: Jane Doe
+ *                 session_type:
+ *                   type: string
+ *                   example: Mentoring call
+ *                 session_date:
+ *                   type: string
+ *                   example: 2023-12-31T04:30:00Z
+ *                 amount:
+ *                   type: number
+ *                   example: 100
+ *                 currency:
+ *                   type: string
+ *                   example: INR
+ *                 paid_at:
+ *                   type: string
+ *                   example: 2023-12-30T08:03:00Z
+ *                 refund_amount:
+ *                   type: number
+ *                   nullable: true
+ *                   example: 50
+ *                 refunded_at:
+ *                   type: string
+ *                   nullable: true
+ *                   example: 2023-12-31T02:00:00Z
+ *       401:
+ *         description: No token provided or invalid token
+ *       404:
+ *         description: No paid booking with this id
+ *       500:
+ *         description: Failed to retrieve receipt
+ */
+router.get('/:id/receipt', async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidId(id)) {
+    return res.status(404).json({ error: 'Receipt not found' });
+  }
+
+  try {
+    const paymentResult = await pool.query(
+      `SELECT p.* FROM payments p JOIN bookings b ON b.id = p.booking_id
+       WHERE p.booking_id = $1 AND b.user_email = $2 AND p.paid_at IS NOT NULL`,
+      [id, req.user.email]
+    );
+    const payment = paymentResult.rows[0];
+    if (!payment) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    res.status(200).json(await getReceipt(pool, payment));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to retrieve receipt' });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{id}/ics:
+ *   get:
+ *     summary: Download a booking as an .ics file
+ *     description: >
+ *       An iCalendar file with the session, for Outlook, Apple Calendar and other calendar apps. Works for the user and
+ *       the speaker of the booking. Cancelled bookings are marked as cancelled.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the booking
+ *     responses:
+ *       200:
+ *         description: The .ics file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: No token provided or invalid token
+ *       404:
+ *         description: Booking not found
+ *       500:
+ *         description: Failed to export booking
+ */
+router.get('/:id/ics', async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidId(id)) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+
+  try {
+    const booking = await findBookingEvent(id);
+    if (!booking || (booking.user_email !== req.user.email && booking.speaker_email !== req.user.email)) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="booking-${booking.id}.ics"`);
+    res.status(200).send(buildBookingFile(booking, req.user.email));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to export booking' });
+  }
+});
+
+/**
+ * @swagger
+ * /booking/{id}/review:
+ *   post:
+ *     summary: Rate and review a past session
+ *     description: Only the user who booked the session before it started can review it, once it has ended. Each booking takes one review.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the booking
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               review:
+ *                 type: string
+ *                 example: Clear explanations and useful follow-up material.
+ *     responses:
+ *       201:
+ *         description: Review posted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid rating or review, the session has not ended yet or was booked after it started
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Booking belongs to another account
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Session already reviewed
+ *       500:
+ *         description: Failed to post review
+ */
+router.post('/:id/review', requireRole('user'), async (req, res) => {
+  const { id } = req.params;
+  const { rating, review } = req.body;
+
+  if (!isValidId(id)) {
+    return res.status(404).json({ error: 'Booking not found' });
+  }
+
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+  }
+  if (review !== undefined && review !== null && (typeof review !== 'string' || review.length > MAX_REVIEW_LENGTH)) {
+    return res.status(400).json({ error: `Review cannot be longer than ${MAX_REVIEW_LENGTH} characters` });
+  }
+
+  try {
+    const { booking, status, error } = await findOwnBooking(id, req.user.email);
+    if (!booking) {
+      return res.status(status).json({ error });
+    }
+    if (booking.user_email !== req.user.email) {
+      return res.status(403).json({ error: 'You can only review sessions you booked' });
+    }
+    if (new Date(booking.session_end) > new Date()) {
+      return res.status(400).json({ error: 'Sessions can only be reviewed once they have ended' });
+    }
+    // A session booked after its start never took place as booked, it must not count towards the rating
+    if (booking.created_at && new Date(booking.created_at) >= new Date(booking.session_date)) {
+      return res.status(400).json({ error: 'Only sessions booked before they started can be reviewed' });
+    }
+
+    // One review per booking, a second attempt inserts nothing
+    const reviewResult = await pool.query(
+      `INSERT INTO reviews (booking_id, user_email, speaker_email, rating, review)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (booking_id) DO NOTHING
+       RETURNING *`,
+      [booking.id, booking.user_email, booking.speaker_email, rating, review ? review.trim() : null]
+    );
+    if (reviewResult.rows.length === 0) {
+      return res.status(409).json({ error: 'You already reviewed this session' });
+    }
+
+    res.status(201).json(serializeReview(reviewResult.rows[0]));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to post review' });
   }
 });
 
@@ -0,0 +1,356 @@
+const express = require('express');
+const pool = require('../utility/db');
+const { formatDate } = require('../utility/datetime');
+const { resetFeedToken, findFeedOwner, buildFeed } = require('../utility/calendar-feeds');
+const { saveConnection, removeConnection, syncBusyTimes } = require('../utility/calendar');
+const { createVerificationToken, readVerificationToken, consumeVerificationToken } = require('../utility/otp');
+const { provider } = require('../calendars');
+const { escapeHtml } = require('../notifications/templates/layout');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /calendar/feed:
+ *   get:
+ *     summary: Check whether the signed in account has a calendar feed
+ *     description: The feed URL itself is only shown when it is created, reset it to get a new one.
+ *     responses:
+ *       200:
+ *         description: Feed status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 created_at:
+ *                   type: string
+ *                   nullable: true
+ *                   example: 2023-12-29T08:00:00Z
+ *       401:
+ *         description: No token provided or invalid token
+ *       500:
+ *         description: Failed to fetch calendar feed
+ */
+router.get('/feed', authenticate, async (req, res) => {
+  try {
+    const feedResult = await pool.query('SELECT calendar_feed_created_at FROM users_js WHERE email = $1 AND calendar_feed_token_hash IS NOT NULL', [req.user.email]);
+    const feed = feedResult.rows[0];
+
+    res.status(200).json({ enabled: Boolean(feed), created_at: feed ? formatDate(new Date(feed.calendar_feed_created_at)) : null });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to fetch calendar feed' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/feed:
+ *   post:
+ *     summary: Create or reset the signed in account's calendar feed
+ *     description: >
+ *       Returns a private iCalendar URL listing the account's sessions as user and speaker, to subscribe to in Outlook,
+ *       Apple Calendar, Google Calendar and others. Anyone with the URL can read the feed, so it is shown only once.
+ *       Calling this again replaces the URL and the old one stops working.
+ *     responses:
+ *       201:
+ *         description: Feed created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 feed_url:
+ *                   type: string
+ *                   example: http://localhost:10000/calendar/feed/3q2-7wEj1aV0x2cY.ics
+ *       401:
+ *         description: No token provided or invalid token
+ *       500:
+ *         description: Failed to create calendar feed
+ */
+router.post('/feed', authenticate, async (req, res) => {
+  try {
+    const feedUrl = await resetFeedToken(req.user.email);
+
+    res.status(201).json({ message: 'Calendar feed created', feed_url: feedUrl });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/feed:
+ *   delete:
+ *     summary: Turn off the signed in account's calendar feed
+ *     responses:
+ *       200:
+ *         description: Feed turned off
+ *       401:
+ *         description: No token provided or invalid token
+ *       500:
+ *         description: Failed to turn off calendar feed
+ */
+router.delete('/feed', authenticate, async (req, res) => {
+  try {
+    await pool.query(
+      'UPDATE users_js SET calendar_feed_token_hash = NULL, calendar_feed_created_at = NULL WHERE email = $1',
+      [req.user.email]
+    );
+
+    res.status(200).json({ message: 'Calendar feed turned off' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to turn off calendar feed' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/feed/{token}.ics:
+ *   get:
+ *     summary: iCalendar feed of an account's sessions
+ *     description: The subscription URL returned by POST /calendar/feed. The token in the URL is the only credential.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The feed token
+ *     responses:
+ *       200:
+ *         description: The feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Feed not found
+ *       500:
+ *         description: Failed to build calendar feed
+ */
+router.get('/feed/:token.ics', async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const owner = await findFeedOwner(token);
+    if (!owner) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="sessions.ics"');
+    // Calendar apps poll the feed, always serve the current bookings
+    res.set('Cache-Control', 'private, no-cache');
+    res.status(200).send(await buildFeed(owner.email));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/connection:
+ *   get:
+ *     summary: Get the calendar connected by the signed in speaker
+ *     responses:
+ *       200:
+ *         description: Connection status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 connected:
+ *                   type: boolean
+ *                 provider:
+ *                   type: string
+ *                   example: google
+ *                 account_email:
+ *                   type: string
+ *                   example: speaker@gmail.com
+ *                 connected_at:
+ *                   type: string
+ *                   example: 2023-12-29T08:00:00Z
+ *                 busy_synced_at:
+ *                   type: string
+ *                   nullable: true
+ *                   example: 2023-12-29T08:15:00Z
+ *                 last_error:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Why the last busy time import failed, if it did
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only speakers can connect a calendar
+ *       500:
+ *         description: Failed to fetch calendar connection
+ */
+router.get('/connection', authenticate, requireRole('speaker'), async (req, res) => {
+  try {
+    const connectionResult = await pool.query('SELECT * FROM calendar_connections WHERE speaker_email = $1', [req.user.email]);
+    const connection = connectionResult.rows[0];
+    if (!connection) {
+      return res.status(200).json({ connected: false });
+    }
+
+    res.status(200).json({
+      connected: true,
+      provider: connection.provider,
+      account_email: connection.account_email,
+      connected_at: formatDate(new Date(connection.connected_at)),
+      busy_synced_at: connection.busy_synced_at ? formatDate(new Date(connection.busy_synced_at)) : null,
+      last_error: connection.last_error,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to fetch calendar connection' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/connect:
+ *   post:
+ *     summary: Start connecting the signed in speaker's own calendar
+ *     description: >
+ *       Returns the provider's consent page to open in the browser. After consent the provider redirects to
+ *       /calendar/connect/callback, which stores the speaker's tokens encrypted. From then on session events are
+ *       created on the speaker's calendar and its busy times are left out of their availability.
+ *     responses:
+ *       200:
+ *         description: Consent page URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 auth_url:
+ *                   type: string
+ *                   example: https://accounts.google.com/o/oauth2/v2/auth?access_type=offline
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only speakers can connect a calendar
+ */
+router.post('/connect', authenticate, requireRole('speaker'), (req, res) => {
+  // The state names the speaker, signed so the callback cannot be pointed at another account
+  const state = createVerificationToken(req.user.email, 'calendar_connect');
+  res.status(200).json({ auth_url: provider.getAuthUrl(state) });
+});
+
+/**
+ * @swagger
+ * /calendar/connect/callback:
+ *   get:
+ *     summary: OAuth redirect target of the calendar provider
+ *     description: Opened in the browser of the speaker who started the flow, who must be signed in with the token cookie.
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendar connected
+ *       400:
+ *         description: Invalid or expired state, or the provider denied access
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: The flow was started by another account
+ *       500:
+ *         description: Failed to connect calendar
+ */
+router.get('/connect/callback', authenticate, async (req, res) => {
+  const { code, state, error } = req.query;
+
+  const speakerEmail = readVerificationToken(state, 'calendar_connect');
+  if (!speakerEmail) {
+    return res.status(400).json({ error: 'Invalid or expired state. Start again from POST /calendar/connect.' });
+  }
+  // Only the browser of the speaker who asked for the consent page may finish the flow, so a forwarded
+  // link cannot attach someone else's calendar to their account
+  if (speakerEmail !== req.user.email) {
+    return res.status(403).json({ error: 'This calendar connection was started by another account' });
+  }
+  if (error || !code) {
+    return res.status(400).json({ error: `Calendar access was not granted${error ? `: ${error}` : ''}` });
+  }
+
+  try {
+    if (!(await consumeVerificationToken(state))) {
+      return res.status(400).json({ error: 'Invalid or expired state. Start again from POST /calendar/connect.' });
+    }
+
+    await saveConnection(speakerEmail, await provider.exchangeCode(code));
+
+    // Import busy times right away, the background sync retries if this fails
+    try {
+      await syncBusyTimes(speakerEmail);
+    } catch (syncError) {
+      console.error(syncError);
+    }
+
+    const htmlContent = `
+    <html>
+      <body>
+        <h1>Calendar connected</h1>
+        <p>New sessions of ${escapeHtml(speakerEmail)} go to this calendar, and its busy times are kept out of your availability. You can close this page.</p>
+      </body>
+    </html>
+  `;
+    res.status(200).send(htmlContent);
+  } catch (connectError) {
+    console.error(connectError);
+    res.status(500).json({ error: 'Failed to connect calendar' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/connection:
+ *   delete:
+ *     summary: Disconnect the signed in speaker's calendar
+ *     description: Revokes the app's access and forgets the imported busy times. Events already on the calendar stay there.
+ *     responses:
+ *       200:
+ *         description: Calendar disconnected
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only speakers can connect a calendar
+ *       404:
+ *         description: No calendar connected
+ *       500:
+ *         description: Failed to disconnect calendar
+ */
+router.delete('/connection', authenticate, requireRole('speaker'), async (req, res) => {
+  try {
+    if (!(await removeConnection(req.user.email))) {
+      return res.status(404).json({ error: 'No calendar connected' });
+    }
+
+    res.status(200).json({ message: 'Calendar disconnected' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to disconnect calendar' });
+  }
+});
+
+module.exports = router;
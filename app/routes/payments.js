@@ -0,0 +1,176 @@
+const express = require('express');
+const pool = require('../utility/db');
+const { getProvider } = require('../payments');
+const { authenticate } = require('../middleware/auth');
+const { handlePaymentEvent } = require('../utility/booking-changes');
+const { escapeHtml } = require('../notifications/templates/layout');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /payments/webhook:
+ *   post:
+ *     summary: Payment provider callback
+ *     description: Called by the payment provider when a payment succeeds or fails. The body is verified with the provider's signature header.
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Event processed
+ *       400:
+ *         description: Invalid signature
+ *       500:
+ *         description: Failed to process payment event
+ */
+router.post('/webhook', async (req, res) => {
+  try {
+    const event = getProvider().parseWebhook(req.rawBody ? req.rawBody.toString() : '', req.headers);
+    if (!event) {
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    await handlePaymentEvent(event);
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to process payment event' });
+  }
+});
+
+// The fake provider's checkout page, only served while PAYMENT_PROVIDER is fake
+function requireFakeProvider(req, res, next) {
+  if (process.env.PAYMENT_PROVIDER !== 'fake') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+}
+
+// The payment behind a fake checkout link, or undefined unless it belongs to a booking or series of email
+async function getCheckoutPayment(providerPaymentId, email) {
+  const paymentResult = await pool.query(
+    `SELECT payments.*, COALESCE(bookings.user_email, booking_series.user_email) AS user_email
+     FROM payments
+     LEFT JOIN bookings ON bookings.id = payments.booking_id
+     LEFT JOIN booking_series ON booking_series.id = payments.series_id
+     WHERE payments.provider_payment_id = $1`,
+    [providerPaymentId]
+  );
+  const payment = paymentResult.rows[0];
+  return payment && payment.user_email === email ? payment : undefined;
+}
+
+/**
+ * @swagger
+ * /payments/fake/{id}:
+ *   get:
+ *     summary: Checkout page of the built-in fake payment provider
+ *     description: Only available with PAYMENT_PROVIDER=fake. Lets the user who booked pay or decline a payment without any network access.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The provider payment id from checkout_url
+ *     responses:
+ *       200:
+ *         description: Checkout page
+ *       401:
+ *         description: Not signed in
+ *       404:
+ *         description: Payment not found
+ *       500:
+ *         description: Failed to load checkout
+ */
+router.get('/fake/:id', requireFakeProvider, authenticate, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const payment = await getCheckoutPayment(id, req.user.email);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const action = `/payments/fake/${encodeURIComponent(id)}`;
+    const htmlContent = `
+    <html>
+      <body>
+        <h1>Fake checkout</h1>
+        <p>Pay ${escapeHtml(payment.amount)} ${escapeHtml(payment.currency)} for ${payment.series_id ? `series ${payment.series_id}` : `booking ${payment.booking_id}`}. Status: ${escapeHtml(payment.status)}</p>
+        <form method="post" action="${action}"><input type="hidden" name="outcome" value="succeeded"><button>Pay</button></form>
+        <form method="post" action="${action}"><input type="hidden" name="outcome" value="failed"><button>Decline</button></form>
+      </body>
+    </html>
+  `;
+    res.status(200).send(htmlContent);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to load checkout' });
+  }
+});
+
+/**
+ * @swagger
+ * /payments/fake/{id}:
+ *   post:
+ *     summary: Pay or decline a fake payment
+ *     description: Only available with PAYMENT_PROVIDER=fake, and only to the user who booked. Sends the outcome through the signed webhook flow a real provider would use.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The provider payment id from checkout_url
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [succeeded, failed]
+ *     responses:
+ *       200:
+ *         description: Payment outcome recorded
+ *       400:
+ *         description: Invalid outcome
+ *       401:
+ *         description: Not signed in
+ *       404:
+ *         description: Payment not found
+ *       500:
+ *         description: Failed to complete payment
+ */
+router.post('/fake/:id', requireFakeProvider, authenticate, express.urlencoded({ extended: false }), async (req, res) => {
+  const { id } = req.params;
+  const { outcome } = req.body;
+
+  if (!['succeeded', 'failed'].includes(outcome)) {
+    return res.status(400).json({ error: 'Invalid outcome. Use succeeded or failed.' });
+  }
+
+  try {
+    if (!(await getCheckoutPayment(id, req.user.email))) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    // Go through the same signature check as provider callbacks
+    const provider = getProvider();
+    const { body, signature } = provider.createWebhook(`payment.${outcome}`, id);
+    const payment = await handlePaymentEvent(provider.parseWebhook(body, { 'x-fake-signature': signature }));
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    res.status(200).json({ message: `Payment ${outcome}`, booking_id: payment.booking_id, series_id: payment.series_id });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to complete payment' });
+  }
+});
+
+module.exports = router;
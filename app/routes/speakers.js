@@ -1,18 +1,312 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 
 const pool = require('../utility/db'); 
-const formatDate = require('../utility/datetime'); 
+const { DEFAULT_TIME_ZONE, isValidTimeZone, zonedTimeToUtc, parseDateTime, formatDate, formatInZone } = require('../utility/datetime');
+const { WEEKDAYS, DEFAULT_HOURS, getSchedule, getSlotsBetween, overlapsBookings, getFreeSlots } = require('../utility/schedule');
+const { getSessionTypes } = require('../utility/session-types');
+const { LISTED_SPEAKER, serializeSpeaker } = require('../utility/accounts');
+const { getPagination } = require('../utility/pagination');
+const { MAX_REVIEW_LENGTH, getRatings, serializeReview } = require('../utility/reviews');
+const { serializeMeetingSettings } = require('../utility/meetings');
+const { PROVIDER_NAMES } = require('../conferencing');
+const { authenticate, requireRole } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Longest range the availability filter of the speaker search looks at
+const MAX_AVAILABILITY_DAYS = 31;
+
+const MAX_BIO_LENGTH = 2000;
+const MAX_PROFILE_TAGS = 20;
+
+const SPEAKER_SORTS = {
+  price_asc: 'price_per_session ASC NULLS LAST, email',
+  price_desc: 'price_per_session DESC NULLS LAST, email',
+  name: 'COALESCE(display_name, email), email',
+  newest: 'approved_at DESC, email',
+};
+
+// Comma separated query parameter as a lowercase list
+function parseList(value) {
+  return value ? String(value).split(',').map((item) => item.trim().toLowerCase()).filter(Boolean) : [];
+}
+
+// Search text as a LIKE pattern that matches it anywhere, with its own % and _ taken literally
+function toContainsPattern(value) {
+  return `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SpeakerProfile:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *           example: speaker@example.com
+ *         display_name:
+ *           type: string
+ *           example: Jane Doe
+ *         bio:
+ *           type: string
+ *           nullable: true
+ *           example: Backend engineer, ten years of Node.js in production.
+ *         expertise:
+ *           type: string
+ *           example: "JavaScript, Node.js, Express"
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [javascript, node]
+ *         languages:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [en, hi]
+ *         photo_url:
+ *           type: string
+ *           nullable: true
+ *           example: https://example.com/jane.jpg
+ *         price_per_session:
+ *           type: number
+ *           example: 100
+ *         currency:
+ *           type: string
+ *           example: INR
+ *         average_rating:
+ *           type: number
+ *           nullable: true
+ *           example: 4.6
+ *         review_count:
+ *           type: integer
+ *           example: 12
+ */
+
+/**
+ * @swagger
+ * /speakers:
+ *   get:
+ *     summary: Search speakers
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Text searched in the name, email, bio and expertise
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *           example: javascript,node
+ *         description: Comma separated tags, speakers must have all of them
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           example: en,hi
+ *         description: Comma separated languages, speakers must speak at least one of them
+ *       - in: query
+ *         name: min_price
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: max_price
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: available_from
+ *         schema:
+ *           type: string
+ *           example: 2023-12-31T09:00:00
+ *         description: Only list speakers with a free slot between available_from and available_to, at most 31 days apart
+ *       - in: query
+ *         name: available_to
+ *         schema:
+ *           type: string
+ *           example: 2023-12-31T18:00:00
+ *       - in: query
+ *         name: duration
+ *         schema:
+ *           type: integer
+ *           example: 30
+ *         description: Session length the availability filter looks for. Defaults to each speaker's shortest session type.
+ *       - in: query
+ *         name: time_zone
+ *         schema:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         description: IANA time zone dates without an offset are read in and slots are returned in. Defaults to Asia/Kolkata.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [price_asc, price_desc, name, newest]
+ *           default: name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of matching speakers. With the availability filter each speaker has its first free slot in the range.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 speakers:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/SpeakerProfile'
+ *                       - type: object
+ *                         properties:
+ *                           first_available_slot:
+ *                             type: string
+ *                             example: 2023-12-31T10:00:00+05:30
+ *       400:
+ *         description: Invalid filter, duration, sort or time zone
+ *       500:
+ *         description: Failed to search speakers
+ */
+router.get('/', async (req, res) => {
+  const { q, min_price, max_price, available_from, available_to } = req.query;
+  const sort = req.query.sort || 'name';
+  const duration = req.query.duration ? Number(req.query.duration) : null;
+  const timeZone = req.query.time_zone || DEFAULT_TIME_ZONE;
+  const tags = parseList(req.query.tag);
+  const languages = parseList(req.query.language);
+  const { page, limit, offset } = getPagination(req.query);
+
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'Invalid time zone' });
+  }
+  if (!SPEAKER_SORTS[sort]) {
+    return res.status(400).json({ error: `Invalid sort. Use ${Object.keys(SPEAKER_SORTS).join(', ')}.` });
+  }
+  if ((min_price && Number.isNaN(Number(min_price))) || (max_price && Number.isNaN(Number(max_price)))) {
+    return res.status(400).json({ error: 'Invalid price range' });
+  }
+  if (duration !== null && (!Number.isInteger(duration) || duration < 1)) {
+    return res.status(400).json({ error: 'Invalid duration. Use a whole number of minutes.' });
+  }
+
+  // Availability filter, both ends are needed
+  let fromDate = null;
+  let toDate = null;
+  if (available_from || available_to) {
+    fromDate = parseDateTime(available_from, timeZone);
+    toDate = parseDateTime(available_to, timeZone);
+    if (!fromDate || !toDate || fromDate >= toDate) {
+      return res.status(400).json({ error: 'Invalid availability range' });
+    }
+    if (toDate - fromDate > MAX_AVAILABILITY_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `Availability range cannot be longer than ${MAX_AVAILABILITY_DAYS} days` });
+    }
+
+    // Slots in the past cannot be booked
+    const currentDate = new Date();
+    if (fromDate < currentDate) fromDate = currentDate;
+  }
+
+  try {
+    // Build the filters
+    const params = [];
+    const conditions = [LISTED_SPEAKER];
+    if (q) {
+      params.push(toContainsPattern(q));
+      conditions.push(`(display_name ILIKE $${params.length} OR email ILIKE $${params.length} OR bio ILIKE $${params.length} OR expertise ILIKE $${params.length})`);
+    }
+    if (tags.length > 0) {
+      params.push(tags);
+      conditions.push(`tags @> $${params.length}::text[]`);
+    }
+    if (languages.length > 0) {
+      params.push(languages);
+      conditions.push(`languages && $${params.length}::text[]`);
+    }
+    if (min_price) {
+      params.push(Number(min_price));
+      conditions.push(`price_per_session >= $${params.length}`);
+    }
+    if (max_price) {
+      params.push(Number(max_price));
+      conditions.push(`price_per_session <= $${params.length}`);
+    }
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const orderBy = `ORDER BY ${SPEAKER_SORTS[sort]}`;
+
+    // Without the availability filter the database pages the results
+    if (!fromDate) {
+      const countResult = await pool.query(`SELECT COUNT(*) FROM users_js ${where}`, params);
+      const speakersResult = await pool.query(
+        `SELECT * FROM users_js ${where} ${orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+      const ratings = await getRatings(speakersResult.rows.map((speaker) => speaker.email));
+
+      const speakers = speakersResult.rows.map((speaker) => serializeSpeaker(speaker, ratings.get(speaker.email)));
+      return res.status(200).json({ page, limit, total: Number(countResult.rows[0].count), speakers });
+    }
+
+    // Otherwise keep the speakers with a free slot in the range, then page them
+    const speakersResult = await pool.query(`SELECT * FROM users_js ${where} ${orderBy}`, params);
+    const emails = speakersResult.rows.map((speaker) => speaker.email);
+    const freeSlots = await getFreeSlots(emails, fromDate, toDate, duration);
+    const ratings = await getRatings(emails);
+    const availableSpeakers = speakersResult.rows
+      .filter((speaker) => freeSlots.has(speaker.email) && freeSlots.get(speaker.email).slots.length > 0)
+      .map((speaker) => ({
+        ...serializeSpeaker(speaker, ratings.get(speaker.email)),
+        first_available_slot: formatInZone(freeSlots.get(speaker.email).slots[0], timeZone),
+      }));
+
+    res.status(200).json({ page, limit, total: availableSpeakers.length, speakers: availableSpeakers.slice(offset, offset + limit) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to search speakers' });
+  }
+});
+
 /**
  * @swagger
  * /speakers/available:
  *   get:
  *     summary: List all speakers with available slots within the next week
+ *     parameters:
+ *       - in: query
+ *         name: duration
+ *         schema:
+ *           type: integer
+ *           example: 30
+ *         description: Only list speakers offering sessions of this many minutes. Defaults to each speaker's shortest session type.
+ *       - in: query
+ *         name: time_zone
+ *         schema:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         description: IANA time zone the slots are returned in. Defaults to Asia/Kolkata.
  *     responses:
  *       200:
  *         description: List of speakers with available slots
@@ -21,82 +315,56 @@ const router = express.Router();
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   email:
- *                     type: string
- *                     example: speaker@example.com
- *                   expertise:
- *                     type: string
- *                     example: "JavaScript, Node.js, Express"
- *                   price_per_session:
- *                     type: number
- *                     example: 100
- *                   available_slots:
- *                     type: array
- *                     items:
- *                       type: string
- *                       example: 2023-12-31T10:00:00
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/SpeakerProfile'
+ *                   - type: object
+ *                     properties:
+ *                       session_type:
+ *                         $ref: '#/components/schemas/SessionType'
+ *                       available_slots:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           example: 2023-12-31T10:00:00+05:30
+ *       400:
+ *         description: Invalid time zone
  *       500:
  *         description: Failed to retrieve speakers
  */
 router.get('/available', async (req, res) => {
+  const duration = req.query.duration ? Number(req.query.duration) : null;
+  const timeZone = req.query.time_zone || DEFAULT_TIME_ZONE;
+
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'Invalid time zone' });
+  }
+
   try {
     // Get the current date and the date one week from now
     const currentDate = new Date();
-    const nextWeekDate = new Date();
-    nextWeekDate.setDate(currentDate.getDate() + 7);
+    const nextWeekDate = new Date(currentDate.getTime() + 7 * 24 * 60 * 60 * 1000);
 
-    // Query to get all speakers with their expertise and price per session
-    const speakersResult = await pool.query('SELECT email, expertise, price_per_session FROM users_js WHERE user_type = $1', ['speaker']);
+    // Query to get all approved speakers with their profiles
+    const speakersResult = await pool.query(`SELECT * FROM users_js WHERE ${LISTED_SPEAKER}`);
     const speakers = speakersResult.rows;
 
-    // Query to get all bookings for the next week
-    const bookingsResult = await pool.query(
-      'SELECT speaker_email, session_date FROM bookings WHERE session_date BETWEEN $1 AND $2',
-      [formatDate(currentDate), formatDate(nextWeekDate)]
-    );
-    const bookings = bookingsResult.rows;
+    // Free slots of every speaker within the next week, buffers, blackouts and calendar busy times included
+    const emails = speakers.map((speaker) => speaker.email);
+    const freeSlots = await getFreeSlots(emails, currentDate, nextWeekDate, duration);
+    const ratings = await getRatings(emails);
 
     // Initialize an array to hold the speakers with available slots
     const speakersWithAvailableSlots = [];
 
-    // Iterate through each speaker to find available slots
     for (const speaker of speakers) {
-      const availableSlots = [];
-
-      // Check each hour slot between 9 a.m. and 4 p.m. for the next week
-      for (let day = 0; day < 7; day++) {
-        for (let hour = 9; hour <= 16; hour++) {
-          const slotDate = new Date(currentDate);
-          slotDate.setDate(currentDate.getDate() + day);
-          slotDate.setHours(hour, 0, 0, 0);
-
-          // Check if the slot is within the next week
-          if (slotDate > nextWeekDate) break;
-
-          // Exclude past slots for the current day
-          if (slotDate < currentDate) continue;
-
-          // Check if the slot is available
-          const isSlotBooked = bookings.some(
-            (booking) =>
-              new Date(booking.session_date).getTime() === slotDate.getTime()
-          );
-
-          if (!isSlotBooked) {
-            availableSlots.push(formatDate(slotDate)); // Manually format the date
-          }
-        }
-      }
+      const speakerSlots = freeSlots.get(speaker.email);
 
       // If the speaker has available slots, add them to the list
-      if (availableSlots.length > 0) {
+      if (speakerSlots && speakerSlots.slots.length > 0) {
         speakersWithAvailableSlots.push({
-          email: speaker.email,
-          expertise: speaker.expertise || 'N/A', 
-          price_per_session: speaker.price_per_session || 'Not Updated',
-          available_slots: availableSlots
+          ...serializeSpeaker(speaker, ratings.get(speaker.email)),
+          session_type: speakerSlots.sessionType,
+          available_slots: speakerSlots.slots.map((slotDate) => formatInZone(slotDate, timeZone)),
         });
       }
     }
@@ -131,82 +399,117 @@ router.get('/available', async (req, res) => {
  *         required: true
  *         schema:
  *           type: integer
- *         description: The month for which to check availability (1-12)
+ *         description: The month for which to check availability (1-12), in the requested time zone
+ *       - in: query
+ *         name: session_type_id
+ *         schema:
+ *           type: integer
+ *         description: The session type to check availability for. Defaults to the speaker's shortest session type.
+ *       - in: query
+ *         name: time_zone
+ *         schema:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         description: IANA time zone the slots are returned in. Defaults to Asia/Kolkata.
  *     responses:
  *       200:
  *         description: Availability of the speaker for the specified month
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 email:
- *                   type: string
- *                   example: speaker@example.com
- *                 expertise:
- *                   type: string
- *                   example: "JavaScript, Node.js, Express"
- *                 price_per_session:
- *                   type: number
- *                   example: 100
- *                 available_slots:
- *                   type: array
- *                   items:
- *                     type: string
- *                     example: 2023-12-31T10:00:00
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SpeakerProfile'
+ *                 - type: object
+ *                   properties:
+ *                     session_type:
+ *                       $ref: '#/components/schemas/SessionType'
+ *                     time_zone:
+ *                       type: string
+ *                       example: Asia/Kolkata
+ *                     available_slots:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         example: 2023-12-31T10:00:00+05:30
+ *       400:
+ *         description: Invalid year, month, session type or time zone
+ *       404:
+ *         description: Speaker not found
  *       500:
  *         description: Failed to retrieve availability
  */
 router.get('/availability/:email/:year/:month', async (req, res) => {
   const { email, year, month } = req.params;
+  const { session_type_id } = req.query;
+  const timeZone = req.query.time_zone || DEFAULT_TIME_ZONE;
+
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'Invalid time zone' });
+  }
+
+  const yearNumber = Number(year);
+  const monthNumber = Number(month);
+  if (!Number.isInteger(yearNumber) || yearNumber < 1970 || yearNumber > 9999) {
+    return res.status(400).json({ error: 'Invalid year' });
+  }
+  if (!Number.isInteger(monthNumber) || monthNumber < 1 || monthNumber > 12) {
+    return res.status(400).json({ error: 'Invalid month. Use 1 to 12.' });
+  }
 
   try {
-    // Get the first and last date of the specified month
-    const firstDate = new Date(year, month - 1, 1);
-    const lastDate = new Date(year, month, 0);
+    // Get the start of the specified month and of the next one in the requested time zone
+    const firstDate = zonedTimeToUtc({ year: yearNumber, month: monthNumber, day: 1 }, timeZone);
+    const nextMonthDate = zonedTimeToUtc({ year: yearNumber, month: monthNumber + 1, day: 1 }, timeZone);
 
     const currentDate = new Date();
 
-    // Query to get all bookings for the specified month
+    // Query to get all bookings overlapping the specified month
     const bookingsResult = await pool.query(
-      'SELECT session_date FROM bookings WHERE speaker_email = $1 AND session_date BETWEEN $2 AND $3',
-      [email, formatDate(firstDate), formatDate(lastDate)]
+      `SELECT session_date, blocked_until FROM bookings
+       WHERE speaker_email = $1 AND blocked_until > $2 AND session_date < $3 AND cancelled_at IS NULL AND (hold_expires_at IS NULL OR hold_expires_at > NOW())`,
+      [email, formatDate(firstDate), formatDate(nextMonthDate)]
     );
     const bookings = bookingsResult.rows;
 
-    // Query to get speaker's expertise and price per session
+    // Query to get the speaker's profile
     const speakerResult = await pool.query(
-      'SELECT expertise, price_per_session FROM users_js WHERE email = $1 AND user_type = $2',
-      [email, 'speaker']
+      `SELECT * FROM users_js WHERE email = $1 AND ${LISTED_SPEAKER}`,
+      [email]
     );
     const speaker = speakerResult.rows[0];
+    if (!speaker) {
+      return res.status(404).json({ error: 'Speaker not found' });
+    }
 
-    // Initialize an array to hold the available slots
-    const availableSlots = [];
+    // Pick the session type the slots are computed for
+    const types = (await getSessionTypes([email])).get(email);
+    const sessionType = session_type_id ? types.find((type) => type.id === Number(session_type_id)) : types[0];
+    if (!sessionType) {
+      return res.status(400).json({ error: 'Invalid session type' });
+    }
 
-    // Check each hour slot between 9 a.m. and 4 p.m. for the specified month
-    for (let day = currentDate.getDate(); day <= lastDate.getDate(); day++) {
-      for (let hour = 9; hour <= 16; hour++) {
-        const slotDate = new Date(year, month - 1, day, hour, 0, 0);
+    // Working hours, days off, blackouts and calendar busy times of the speaker
+    const schedule = await getSchedule(email, firstDate);
+    const ratings = await getRatings([email]);
 
-        // Exclude past slots for the current day
-        if (slotDate < currentDate) continue;
+    // Initialize an array to hold the available slots
+    const availableSlots = [];
 
-        // Check if the slot is available
-        const isSlotBooked = bookings.some(
-          (booking) => new Date(booking.session_date).getTime() === slotDate.getTime()
-        );
+    // Check each slot within the speaker's working hours for the rest of the specified month
+    const fromDate = currentDate > firstDate ? currentDate : firstDate;
+    for (const { start: slotDate } of getSlotsBetween(schedule, fromDate, nextMonthDate, sessionType)) {
+      // Check if the slot, including the speaker's buffer, is free
+      const isSlotBooked = overlapsBookings(bookings, slotDate, sessionType);
 
-        if (!isSlotBooked) {
-          availableSlots.push(formatDate(slotDate)); // Manually format the date
-        }
+      if (!isSlotBooked) {
+        availableSlots.push(formatInZone(slotDate, timeZone));
       }
     }
 
     res.status(200).json({
-      email,
-      expertise: speaker.expertise || 'N/A', 
-      price_per_session: speaker.price_per_session || 'Not Updated',
+      ...serializeSpeaker(speaker, ratings.get(email)),
+      session_type: sessionType,
+      time_zone: timeZone,
       available_slots: availableSlots
     });
   } catch (error) {
@@ -215,11 +518,79 @@ router.get('/availability/:email/:year/:month', async (req, res) => {
   }
 });
 
+// Validates the profile fields present in an update-profile body, returning the columns to set or an error
+function readProfileUpdate(body) {
+  const fields = {};
+
+  if (body.expertise !== undefined) {
+    if (typeof body.expertise !== 'string' || !body.expertise.trim()) return { error: 'Invalid expertise' };
+    fields.expertise = body.expertise.trim();
+  }
+  if (body.price_per_session !== undefined) {
+    const price = Number(body.price_per_session);
+    if (body.price_per_session === null || Number.isNaN(price) || price < 0) return { error: 'Invalid price per session' };
+    fields.price_per_session = price;
+  }
+  if (body.display_name !== undefined) {
+    if (typeof body.display_name !== 'string' || !body.display_name.trim() || body.display_name.trim().length > 100) {
+      return { error: 'Display name must be 1 to 100 characters' };
+    }
+    fields.display_name = body.display_name.trim();
+  }
+  if (body.bio !== undefined) {
+    if (body.bio !== null && (typeof body.bio !== 'string' || body.bio.length > MAX_BIO_LENGTH)) {
+      return { error: `Bio cannot be longer than ${MAX_BIO_LENGTH} characters` };
+    }
+    fields.bio = body.bio ? body.bio.trim() : null;
+  }
+  for (const key of ['tags', 'languages']) {
+    if (body[key] === undefined) continue;
+    const list = body[key];
+    if (!Array.isArray(list) || list.length > MAX_PROFILE_TAGS || list.some((item) => typeof item !== 'string' || !item.trim() || item.length > 50)) {
+      return { error: `${key} must be a list of at most ${MAX_PROFILE_TAGS} short strings` };
+    }
+    fields[key] = [...new Set(list.map((item) => item.trim().toLowerCase()))];
+  }
+  if (body.photo_url !== undefined) {
+    if (body.photo_url !== null && !isValidHttpUrl(body.photo_url)) return { error: 'Photo URL must be an http or https URL' };
+    fields.photo_url = body.photo_url;
+  }
+  if (body.currency !== undefined) {
+    if (typeof body.currency !== 'string' || !/^[A-Za-z]{3}$/.test(body.currency)) return { error: 'Currency must be a three letter ISO 4217 code' };
+    fields.currency = body.currency.toUpperCase();
+  }
+  if (body.meeting_provider !== undefined) {
+    if (body.meeting_provider !== null && !PROVIDER_NAMES.includes(body.meeting_provider)) {
+      return { error: `Meeting provider must be one of ${PROVIDER_NAMES.join(', ')}` };
+    }
+    fields.meeting_provider = body.meeting_provider;
+  }
+  if (body.meeting_link !== undefined) {
+    if (body.meeting_link !== null && !isValidHttpUrl(body.meeting_link)) return { error: 'Meeting link must be an http or https URL' };
+    fields.meeting_link = body.meeting_link;
+  }
+
+  return { fields };
+}
+
+function isValidHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
+
 /**
  * @swagger
  * /speakers/update-profile:
  *   patch:
- *     summary: Update speaker profile with expertise and price per session
+ *     summary: Update the profile of the signed in speaker
+ *     description: >
+ *       Only the fields sent are changed. Tags and languages are stored lowercase, and bio, photo_url,
+ *       meeting_provider and meeting_link can be cleared with null. The meeting settings apply to sessions
+ *       confirmed from then on and are only shown to the speaker.
  *     requestBody:
  *       required: true
  *       content:
@@ -227,52 +598,735 @@ router.get('/availability/:email/:year/:month', async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
+ *               display_name:
+ *                 type: string
+ *                 example: Jane Doe
+ *               bio:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Backend engineer, ten years of Node.js in production.
  *               expertise:
  *                 type: string
  *                 example: "JavaScript, Node.js, Express"
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [javascript, node]
+ *               languages:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [en, hi]
+ *               photo_url:
+ *                 type: string
+ *                 nullable: true
+ *                 example: https://example.com/jane.jpg
  *               price_per_session:
  *                 type: number
  *                 example: 100
+ *               currency:
+ *                 type: string
+ *                 example: INR
+ *               meeting_provider:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [jitsi, google_meet, static]
+ *                 description: >
+ *                   Where sessions take place: a generated Jitsi room, a Google Meet created with the calendar event,
+ *                   or meeting_link for every session. Null goes back to the default, CONFERENCING_PROVIDER.
+ *               meeting_link:
+ *                 type: string
+ *                 nullable: true
+ *                 example: https://zoom.us/j/1234567890
+ *                 description: The speaker's own meeting room, used by the static provider
  *     responses:
  *       200:
  *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SpeakerProfile'
  *       400:
  *         description: Invalid request
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only speakers have a profile to update
  *       500:
  *         description: Failed to update profile
  */
-router.patch('/update-profile', async (req, res) => {
-    const { expertise, price_per_session } = req.body;
-    const token = req.cookies.token; 
+router.patch('/update-profile', authenticate, requireRole('speaker'), async (req, res) => {
+    const email = req.user.email;
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const email = decoded.email;
-
-    if (!email || !expertise || !price_per_session) {
+    const { fields, error } = readProfileUpdate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
       return res.status(400).json({ error: 'Invalid request' });
     }
   
     try {
-      // Validate if the email belongs to a speaker
-      const speakerResult = await pool.query(
-        'SELECT email FROM users_js WHERE email = $1 AND user_type = $2',
-        [email, 'speaker']
-      );
-      if (speakerResult.rowCount === 0) {
-        return res.status(400).json({ error: 'Invalid speaker email' });
-      }
-
       // Update speaker profile in the database
-      await pool.query(
-        'UPDATE users_js SET expertise = $1, price_per_session = $2 WHERE email = $3 AND user_type = $4',
-        [expertise, price_per_session, email, 'speaker']
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+      const speakerResult = await pool.query(
+        `UPDATE users_js SET ${assignments.join(', ')} WHERE email = $${columns.length + 1} AND user_type = 'speaker' RETURNING *`,
+        [...Object.values(fields), email]
       );
   
-      res.status(200).json({ message: 'Profile updated successfully' });
+      const ratings = await getRatings([email]);
+
+      const speaker = speakerResult.rows[0];
+      res.status(200).json({
+        message: 'Profile updated successfully',
+        ...serializeSpeaker(speaker, ratings.get(email)),
+        ...serializeMeetingSettings(speaker),
+      });
     } catch (error) {
       console.error(error);
       res.status(500).json({ error: 'Failed to update profile' });
     }
 });
 
+// Shape of a speaker schedule in API responses
+function serializeSchedule(schedule) {
+  const workingHours = {};
+  WEEKDAYS.forEach((weekday, index) => {
+    workingHours[weekday] = schedule.workingHours[index];
+  });
+
+  return {
+    time_zone: schedule.timeZone,
+    working_hours: workingHours,
+    slot_length_minutes: schedule.slotLength,
+    days_off: WEEKDAYS.filter((weekday, index) => !schedule.workingHours[index]),
+    blackouts: schedule.blackouts.map((blackout) => ({
+      id: blackout.id,
+      starts_at: formatInZone(new Date(blackout.starts_at), schedule.timeZone),
+      ends_at: formatInZone(new Date(blackout.ends_at), schedule.timeZone),
+      reason: blackout.reason,
+    })),
+  };
+}
+
+// Whole number of minutes in the given range, in steps of 5 minutes
+function isValidMinutes(minutes, min, max) {
+  return Number.isInteger(minutes) && minutes >= min && minutes <= max && minutes % 5 === 0;
+}
+
+function isValidHours(hours) {
+  return (
+    hours &&
+    Number.isInteger(hours.start_hour) &&
+    Number.isInteger(hours.end_hour) &&
+    hours.start_hour >= 0 &&
+    hours.end_hour <= 24 &&
+    hours.start_hour < hours.end_hour
+  );
+}
+
+/**
+ * @swagger
+ * /speakers/schedule:
+ *   get:
+ *     summary: Get the working hours, days off and upcoming blackouts of the signed in speaker
+ *     description: Working hours and blackouts are in the speaker's time zone.
+ *     responses:
+ *       200:
+ *         description: Schedule of the speaker
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 time_zone:
+ *                   type: string
+ *                   example: Asia/Kolkata
+ *                 working_hours:
+ *                   type: object
+ *                   example: { "monday": { "start_hour": 9, "end_hour": 17 }, "sunday": null }
+ *                 slot_length_minutes:
+ *                   type: integer
+ *                   example: 60
+ *                 days_off:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: sunday
+ *                 blackouts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 1
+ *                       starts_at:
+ *                         type: string
+ *                         example: 2023-12-24T00:00:00+05:30
+ *                       ends_at:
+ *                         type: string
+ *                         example: 2023-12-27T00:00:00+05:30
+ *                       reason:
+ *                         type: string
+ *                         example: Holidays
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only speakers have a schedule
+ *       500:
+ *         description: Failed to retrieve schedule
+ */
+router.get('/schedule', authenticate, requireRole('speaker'), async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.user.email);
+
+    res.status(200).json(serializeSchedule(schedule));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to retrieve schedule' });
+  }
+});
+
+/**
+ * @swagger
+ * /speakers/schedule:
+ *   put:
+ *     summary: Set the weekly working hours and recurring days off of the signed in speaker
+ *     description: Weekdays missing from working_hours use the default 9 a.m. to 5 p.m. hours. Weekdays listed in days_off have no sessions. slot_length_minutes sets how far apart possible session start times are.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               working_hours:
+ *                 type: object
+ *                 example: { "monday": { "start_hour": 10, "end_hour": 18 }, "friday": { "start_hour": 9, "end_hour": 13 } }
+ *               days_off:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["saturday", "sunday"]
+ *               slot_length_minutes:
+ *                 type: integer
+ *                 example: 30
+ *     responses:
+ *       200:
+ *         description: Schedule updated successfully
+ *       400:
+ *         description: Invalid working hours or days off
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only speakers have a schedule
+ *       500:
+ *         description: Failed to update schedule
+ */
+router.put('/schedule', authenticate, requireRole('speaker'), async (req, res) => {
+  const { working_hours = {}, days_off = [], slot_length_minutes } = req.body;
+
+  // Validate the schedule
+  if (!Array.isArray(days_off) || days_off.some((weekday) => !WEEKDAYS.includes(weekday))) {
+    return res.status(400).json({ error: 'Invalid days off' });
+  }
+  for (const [weekday, hours] of Object.entries(working_hours)) {
+    if (!WEEKDAYS.includes(weekday) || !isValidHours(hours)) {
+      return res.status(400).json({ error: `Invalid working hours for ${weekday}` });
+    }
+  }
+  if (slot_length_minutes !== undefined && !isValidMinutes(slot_length_minutes, 5, 240)) {
+    return res.status(400).json({ error: 'Invalid slot length' });
+  }
+
+  try {
+    // Store one row per weekday, days off have no hours
+    const params = [req.user.email];
+    const values = WEEKDAYS.map((weekday, index) => {
+      const hours = days_off.includes(weekday) ? { start_hour: null, end_hour: null } : working_hours[weekday] || DEFAULT_HOURS;
+      params.push(index, hours.start_hour, hours.end_hour);
+      return `($1, $${params.length - 2}, $${params.length - 1}, $${params.length})`;
+    });
+    await pool.query(
+      `INSERT INTO speaker_working_hours (speaker_email, weekday, start_hour, end_hour) VALUES ${values.join(', ')}
+       ON CONFLICT (speaker_email, weekday) DO UPDATE SET start_hour = EXCLUDED.start_hour, end_hour = EXCLUDED.end_hour`,
+      params
+    );
+
+    if (slot_length_minutes !== undefined) {
+      await pool.query('UPDATE users_js SET slot_length_minutes = $1 WHERE email = $2', [slot_length_minutes, req.user.email]);
+    }
+
+    const schedule = await getSchedule(req.user.email);
+
+    res.status(200).json({ message: 'Schedule updated successfully', ...serializeSchedule(schedule) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+/**
+ * @swagger
+ * /speakers/schedule/blackouts:
+ *   post:
+ *     summary: Block a date range in the signed in speaker's schedule
+ *     description: Dates without an offset are read in the speaker's time zone.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2023-12-24T00:00:00
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2023-12-27T00:00:00
+ *               reason:
+ *                 type: string
+ *                 example: Holidays
+ *     responses:
+ *       201:
+ *         description: Blackout created successfully
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only speakers have a schedule
+ *       500:
+ *         description: Failed to create blackout
+ */
+router.post('/schedule/blackouts', authenticate, requireRole('speaker'), async (req, res) => {
+  const { starts_at, ends_at, reason } = req.body;
+
+  try {
+    // Read the range in the speaker's time zone
+    const schedule = await getSchedule(req.user.email);
+    const startDate = parseDateTime(starts_at, schedule.timeZone);
+    const endDate = parseDateTime(ends_at, schedule.timeZone);
+    if (!startDate || !endDate || startDate >= endDate) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const blackoutResult = await pool.query(
+      'INSERT INTO speaker_blackouts (speaker_email, starts_at, ends_at, reason) VALUES ($1, $2, $3, $4) RETURNING id',
+      [req.user.email, startDate, endDate, reason || null]
+    );
+
+    res.status(201).json({ message: 'Blackout created successfully', id: blackoutResult.rows[0].id });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to create blackout' });
+  }
+});
+
+/**
+ * @swagger
+ * /speakers/schedule/blackouts/{id}:
+ *   delete:
+ *     summary: Remove a blackout from the signed in speaker's schedule
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the blackout
+ *     responses:
+ *       200:
+ *         description: Blackout removed successfully
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only speakers have a schedule
+ *       404:
+ *         description: Blackout not found
+ *       500:
+ *         description: Failed to remove blackout
+ */
+router.delete('/schedule/blackouts/:id', authenticate, requireRole('speaker'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const deleteResult = await pool.query('DELETE FROM speaker_blackouts WHERE id = $1 AND speaker_email = $2', [id, req.user.email]);
+    if (deleteResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Blackout not found' });
+    }
+
+    res.status(200).json({ message: 'Blackout removed successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to remove blackout' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SessionType:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: Quick review
+ *         duration_minutes:
+ *           type: integer
+ *           example: 30
+ *         price:
+ *           type: number
+ *           example: 50
+ *         buffer_minutes:
+ *           type: integer
+ *           example: 15
+ */
+
+/**
+ * @swagger
+ * /speakers/{email}/session-types:
+ *   get:
+ *     summary: List the session types a speaker offers
+ *     description: Speakers without session types offer a single one-hour session at their profile price.
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The email of the speaker
+ *     responses:
+ *       200:
+ *         description: Session types of the speaker, shortest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SessionType'
+ *       404:
+ *         description: Speaker not found
+ *       500:
+ *         description: Failed to retrieve session types
+ */
+router.get('/:email/session-types', async (req, res) => {
+  const { email } = req.params;
+
+  try {
+    const speakerResult = await pool.query(`SELECT email FROM users_js WHERE email = $1 AND ${LISTED_SPEAKER}`, [email]);
+    if (speakerResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Speaker not found' });
+    }
+
+    const sessionTypes = await getSessionTypes([email]);
+
+    res.status(200).json(sessionTypes.get(email));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to retrieve session types' });
+  }
+});
+
+/**
+ * @swagger
+ * /speakers/session-types:
+ *   post:
+ *     summary: Add a session type to the signed in speaker's offer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Quick review
+ *               duration_minutes:
+ *                 type: integer
+ *                 example: 30
+ *               price:
+ *                 type: number
+ *                 example: 50
+ *               buffer_minutes:
+ *                 type: integer
+ *                 example: 15
+ *                 description: Minutes kept free after the session, defaults to 0
+ *     responses:
+ *       201:
+ *         description: Session type created successfully
+ *       400:
+ *         description: Invalid session type
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only speakers can offer sessions
+ *       500:
+ *         description: Failed to create session type
+ */
+router.post('/session-types', authenticate, requireRole('speaker'), async (req, res) => {
+  const { name, duration_minutes, price, buffer_minutes = 0 } = req.body;
+
+  // Validate the session type
+  if (!name || !isValidMinutes(duration_minutes, 15, 240) || !isValidMinutes(buffer_minutes, 0, 120) || typeof price !== 'number' || price < 0) {
+    return res.status(400).json({ error: 'Invalid session type. Durations go from 15 to 240 minutes and buffers up to 120 minutes, in steps of 5 minutes.' });
+  }
+
+  try {
+    const typeResult = await pool.query(
+      'INSERT INTO session_types (speaker_email, name, duration_minutes, price, buffer_minutes) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      [req.user.email, name, duration_minutes, price, buffer_minutes]
+    );
+
+    res.status(201).json({ message: 'Session type created successfully', id: typeResult.rows[0].id });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to create session type' });
+  }
+});
+
+/**
+ * @swagger
+ * /speakers/session-types/{id}:
+ *   delete:
+ *     summary: Stop offering a session type
+ *     description: Existing bookings of this session type are kept.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the session type
+ *     responses:
+ *       200:
+ *         description: Session type removed successfully
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only speakers can offer sessions
+ *       404:
+ *         description: Session type not found
+ *       500:
+ *         description: Failed to remove session type
+ */
+router.delete('/session-types/:id', authenticate, requireRole('speaker'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const updateResult = await pool.query(
+      'UPDATE session_types SET archived_at = NOW() WHERE id = $1 AND speaker_email = $2 AND archived_at IS NULL',
+      [id, req.user.email]
+    );
+    if (updateResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Session type not found' });
+    }
+
+    res.status(200).json({ message: 'Session type removed successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to remove session type' });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 4
+ *         booking_id:
+ *           type: integer
+ *           example: 12
+ *         rating:
+ *           type: integer
+ *           example: 5
+ *         review:
+ *           type: string
+ *           nullable: true
+ *           example: Clear explanations and useful follow-up material.
+ *         created_at:
+ *           type: string
+ *           example: 2023-12-31T12:00:00Z
+ *         reply:
+ *           type: string
+ *           nullable: true
+ *           example: Thanks, glad it helped!
+ *         replied_at:
+ *           type: string
+ *           nullable: true
+ *           example: 2024-01-01T08:00:00Z
+ */
+
+/**
+ * @swagger
+ * /speakers/{email}/reviews:
+ *   get:
+ *     summary: List the reviews of a speaker, newest first
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The email of the speaker
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of reviews with the speaker's average rating
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 12
+ *                 average_rating:
+ *                   type: number
+ *                   nullable: true
+ *                   example: 4.6
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *       404:
+ *         description: Speaker not found
+ *       500:
+ *         description: Failed to retrieve reviews
+ */
+router.get('/:email/reviews', async (req, res) => {
+  const { email } = req.params;
+  const { page, limit, offset } = getPagination(req.query);
+
+  try {
+    const speakerResult = await pool.query(`SELECT 1 FROM users_js WHERE email = $1 AND ${LISTED_SPEAKER}`, [email]);
+    if (speakerResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Speaker not found' });
+    }
+
+    const rating = (await getRatings([email])).get(email);
+    const reviewsResult = await pool.query(
+      'SELECT * FROM reviews WHERE speaker_email = $1 ORDER BY created_at DESC, id DESC LIMIT $2 OFFSET $3',
+      [email, limit, offset]
+    );
+
+    res.status(200).json({
+      page,
+      limit,
+      total: rating.review_count,
+      average_rating: rating.average_rating,
+      reviews: reviewsResult.rows.map(serializeReview),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to retrieve reviews' });
+  }
+});
+
+/**
+ * @swagger
+ * /speakers/reviews/{id}/reply:
+ *   post:
+ *     summary: Publicly reply to a review of the signed in speaker
+ *     description: Each review takes one reply, which cannot be changed afterwards.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the review
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reply:
+ *                 type: string
+ *                 example: Thanks, glad it helped!
+ *     responses:
+ *       200:
+ *         description: Reply posted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid reply
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only speakers can reply to reviews
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Review already has a reply
+ *       500:
+ *         description: Failed to post reply
+ */
+router.post('/reviews/:id/reply', authenticate, requireRole('speaker'), async (req, res) => {
+  const { id } = req.params;
+  const { reply } = req.body;
+
+  if (typeof reply !== 'string' || !reply.trim() || reply.length > MAX_REVIEW_LENGTH) {
+    return res.status(400).json({ error: `Reply must be 1 to ${MAX_REVIEW_LENGTH} characters` });
+  }
+
+  try {
+    const reviewResult = await pool.query('SELECT * FROM reviews WHERE id = $1 AND speaker_email = $2', [id, req.user.email]);
+    if (reviewResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    // Only the first reply is kept
+    const replyResult = await pool.query(
+      'UPDATE reviews SET reply = $1, replied_at = NOW() WHERE id = $2 AND reply IS NULL RETURNING *',
+      [reply.trim(), id]
+    );
+    if (replyResult.rows.length === 0) {
+      return res.status(409).json({ error: 'You already replied to this review' });
+    }
+
+    res.status(200).json(serializeReview(replyResult.rows[0]));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to post reply' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
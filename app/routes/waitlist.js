@@ -0,0 +1,424 @@
+const express = require('express');
+const pool = require('../utility/db');
+const { isValidTimeZone, parseDateTime, formatDate, formatReadable } = require('../utility/datetime');
+const { LISTED_SPEAKER, getTimeZones } = require('../utility/accounts');
+const { getSchedule, isBookable } = require('../utility/schedule');
+const { findSessionType } = require('../utility/session-types');
+const { withTransaction } = require('../utility/transaction');
+const { confirmHold } = require('../utility/booking-changes');
+const { hashClaimToken, getActiveBookings, findFreeSlot, offerFreedSlots, serializeWaitlistEntry } = require('../utility/waitlist');
+const { escapeHtml } = require('../notifications/templates/layout');
+const { authenticate, requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Postgres error raised when a row breaks a unique index
+const UNIQUE_VIOLATION = '23505';
+
+// Start and end of a calendar day (YYYY-MM-DD) in a time zone, or null for an invalid date
+function getDayRange(date, timeZone) {
+  const match = typeof date === 'string' && date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const dayStart = parseDateTime(date, timeZone);
+  const next = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + 1));
+  const dayEnd = parseDateTime(next.toISOString().slice(0, 10), timeZone);
+  return dayStart && dayEnd ? { dayStart, dayEnd } : null;
+}
+
+// Finds the open offer of a claim link, or null if it was claimed, withdrawn or has expired
+async function findOffer(db, token, lock = false) {
+  const offerResult = await db.query(
+    `SELECT * FROM waitlist_entries WHERE claim_token_hash = $1 AND status = 'offered' AND offer_expires_at > NOW()${lock ? ' FOR UPDATE' : ''}`,
+    [hashClaimToken(token)]
+  );
+  return offerResult.rows[0] || null;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 4
+ *         speaker_email:
+ *           type: string
+ *           example: speaker@example.com
+ *         session_type_id:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         session_date:
+ *           type: string
+ *           nullable: true
+ *           example: 2023-12-31T10:00:00+05:30
+ *           description: The slot waited for, null when waiting for any slot on date
+ *         date:
+ *           type: string
+ *           nullable: true
+ *           example: 2023-12-31
+ *         time_zone:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         status:
+ *           type: string
+ *           enum: [waiting, offered]
+ *         offer_expires_at:
+ *           type: string
+ *           nullable: true
+ *           example: 2023-12-30T08:30:00Z
+ *           description: Deadline of the claim link sent by email, while offered
+ *         created_at:
+ *           type: string
+ *           example: 2023-12-29T08:00:00Z
+ */
+
+/**
+ * @swagger
+ * /waitlist:
+ *   post:
+ *     summary: Join the waitlist for a taken slot or for any slot on a day
+ *     description: >
+ *       When a matching slot frees up, the oldest entry that wants it is emailed a claim link and the slot is held
+ *       for them until the link expires. Unclaimed slots go to the next entry.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               speaker_email:
+ *                 type: string
+ *                 example: speaker@example.com
+ *               session_date:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2023-12-31T10:00:00
+ *                 description: The slot to wait for, give either session_date or date
+ *               date:
+ *                 type: string
+ *                 example: 2023-12-31
+ *                 description: Wait for any slot of the speaker on this day
+ *               time_zone:
+ *                 type: string
+ *                 example: Asia/Kolkata
+ *                 description: Time zone of session_date and date, defaults to the time zone of the signed in user
+ *               session_type_id:
+ *                 type: integer
+ *                 example: 1
+ *                 description: One of the speaker's session types, defaults to the shortest one
+ *     responses:
+ *       201:
+ *         description: Added to the waitlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entry:
+ *                   $ref: '#/components/schemas/WaitlistEntry'
+ *       400:
+ *         description: Invalid request or speaker not available
+ *       401:
+ *         description: No token provided or invalid token
+ *       403:
+ *         description: Only users can join the waitlist
+ *       409:
+ *         description: Already on the waitlist for this, or the slot is free and can be booked right away
+ *       500:
+ *         description: Failed to join the waitlist
+ */
+router.post('/', authenticate, requireRole('user'), async (req, res) => {
+  const { speaker_email, session_date, date, time_zone, session_type_id } = req.body;
+
+  if (time_zone && !isValidTimeZone(time_zone)) {
+    return res.status(400).json({ error: 'Invalid time zone' });
+  }
+  if (!session_date === !date) {
+    return res.status(400).json({ error: 'Give either session_date or date' });
+  }
+
+  try {
+    const user_email = req.user.email;
+
+    // Check if the speaker is available
+    const speakerResult = await pool.query(`SELECT * FROM users_js WHERE email = $1 AND ${LISTED_SPEAKER}`, [speaker_email]);
+    if (speakerResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Speaker not available' });
+    }
+
+    // Find the requested session type
+    const sessionType = await findSessionType(speaker_email, session_type_id);
+    if (!sessionType) {
+      return res.status(400).json({ error: 'Invalid session type' });
+    }
+
+    const timeZone = time_zone || (await getTimeZones([user_email])).get(user_email);
+    const schedule = await getSchedule(speaker_email);
+    const entry = { slot_start: null, day_start: null, day_end: null };
+    if (session_date) {
+      entry.slot_start = parseDateTime(session_date, timeZone);
+      if (!entry.slot_start || entry.slot_start <= new Date() || !isBookable(schedule, entry.slot_start, sessionType)) {
+        return res.status(400).json({ error: 'Invalid session time. Only upcoming slots within the speaker\'s working hours can be waited for.' });
+      }
+    } else {
+      const range = getDayRange(date, timeZone);
+      if (!range || range.dayEnd <= new Date()) {
+        return res.status(400).json({ error: 'Invalid date. Use an upcoming day as YYYY-MM-DD.' });
+      }
+      entry.day_start = range.dayStart;
+      entry.day_end = range.dayEnd;
+    }
+
+    // Nothing to wait for when the slot can be booked right away
+    const bookings = await getActiveBookings(pool, speaker_email);
+    if (findFreeSlot(entry, schedule, sessionType, bookings)) {
+      return res.status(409).json({
+        error: session_date ? 'This slot is free, book it with /booking/book-session' : 'The speaker has free slots on this day, book one with /booking/book-session',
+      });
+    }
+
+    const insertResult = await pool.query(
+      `INSERT INTO waitlist_entries (user_email, speaker_email, session_type_id, slot_start, day_start, day_end, time_zone)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [user_email, speaker_email, sessionType.id, entry.slot_start, entry.day_start, entry.day_end, timeZone]
+    );
+
+    res.status(201).json({ message: 'Added to the waitlist', entry: serializeWaitlistEntry(insertResult.rows[0]) });
+  } catch (error) {
+    console.error(error);
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({ error: 'You are already on the waitlist for this' });
+    }
+    res.status(500).json({ error: 'Failed to join the waitlist' });
+  }
+});
+
+/**
+ * @swagger
+ * /waitlist:
+ *   get:
+ *     summary: List the signed in user's open waitlist entries
+ *     responses:
+ *       200:
+ *         description: Waiting and offered entries, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WaitlistEntry'
+ *       401:
+ *         description: No token provided or invalid token
+ *       500:
+ *         description: Failed to fetch waitlist
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const entriesResult = await pool.query(
+      `SELECT * FROM waitlist_entries
+       WHERE user_email = $1 AND (status = 'waiting' OR (status = 'offered' AND offer_expires_at > NOW()))
+         AND COALESCE(slot_start, day_end) > NOW()
+       ORDER BY created_at, id`,
+      [req.user.email]
+    );
+
+    res.status(200).json({ entries: entriesResult.rows.map(serializeWaitlistEntry) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to fetch waitlist' });
+  }
+});
+
+/**
+ * @swagger
+ * /waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     description: Withdraws an entry. A slot offered to it is released and offered to the next entry.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The id of the waitlist entry
+ *     responses:
+ *       200:
+ *         description: Left the waitlist
+ *       401:
+ *         description: No token provided or invalid token
+ *       404:
+ *         description: Waitlist entry not found
+ *       500:
+ *         description: Failed to leave the waitlist
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const left = await withTransaction(async (client) => {
+      const leaveResult = await client.query(
+        `UPDATE waitlist_entries SET status = 'left'
+         WHERE id = $1 AND user_email = $2 AND status IN ('waiting', 'offered') RETURNING *`,
+        [id, req.user.email]
+      );
+      const entry = leaveResult.rows[0];
+      if (!entry) {
+        return null;
+      }
+
+      // Give an offered slot to the next in line
+      if (entry.hold_id) {
+        await client.query("DELETE FROM bookings WHERE id = $1 AND status = 'held'", [entry.hold_id]);
+        await offerFreedSlots(client, entry.speaker_email);
+      }
+      return entry;
+    });
+    if (!left) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+
+    res.status(200).json({ message: 'Left the waitlist' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to leave the waitlist' });
+  }
+});
+
+/**
+ * @swagger
+ * /waitlist/claim/{token}:
+ *   get:
+ *     summary: Claim page of a slot offered from the waitlist
+ *     description: Opened from the claim link in the offer email. Shows the offered slot with a button to claim it.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The token from the claim link
+ *     responses:
+ *       200:
+ *         description: Claim page
+ *       410:
+ *         description: Offer not found or expired
+ *       500:
+ *         description: Failed to load offer
+ */
+router.get('/claim/:token', async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    const offer = await findOffer(pool, token);
+    if (!offer) {
+      return res.status(410).json({ error: 'Offer not found or expired' });
+    }
+    const holdResult = await pool.query('SELECT session_date FROM bookings WHERE id = $1', [offer.hold_id]);
+    if (holdResult.rows.length === 0) {
+      return res.status(410).json({ error: 'Offer not found or expired' });
+    }
+
+    const action = `/waitlist/claim/${encodeURIComponent(token)}`;
+    const htmlContent = `
+    <html>
+      <body>
+        <h1>Claim your session</h1>
+        <p>Session with ${escapeHtml(offer.speaker_email)} on ${escapeHtml(formatReadable(new Date(holdResult.rows[0].session_date), offer.time_zone))}.</p>
+        <p>Held for you until ${escapeHtml(formatReadable(new Date(offer.offer_expires_at), offer.time_zone))}.</p>
+        <form method="post" action="${action}"><button>Claim</button></form>
+      </body>
+    </html>
+  `;
+    res.status(200).send(htmlContent);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to load offer' });
+  }
+});
+
+/**
+ * @swagger
+ * /waitlist/claim/{token}:
+ *   post:
+ *     summary: Claim a slot offered from the waitlist
+ *     description: >
+ *       Books the held slot for the waitlisted user, like book-session with a hold. Paid sessions answer 202 with
+ *       the checkout_url to pay at.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The token from the claim link
+ *     responses:
+ *       200:
+ *         description: Free session booked successfully, with its booking_id and meeting_url
+ *       202:
+ *         description: Paid session reserved until expires_at, with the payment fields of book-session
+ *       410:
+ *         description: Offer not found or expired
+ *       500:
+ *         description: Failed to claim slot
+ */
+router.post('/claim/:token', async (req, res) => {
+  const { token } = req.params;
+
+  try {
+    // The link itself proves the offer was sent to the user
+    const result = await withTransaction(async (client) => {
+      const offer = await findOffer(client, token, true);
+      if (!offer) {
+        return null;
+      }
+      const holdResult = await client.query(
+        "SELECT * FROM bookings WHERE id = $1 AND status = 'held' AND hold_expires_at > NOW() FOR UPDATE",
+        [offer.hold_id]
+      );
+      const hold = holdResult.rows[0];
+      if (!hold) {
+        return null;
+      }
+
+      const claimed = await confirmHold(client, hold);
+      await client.query("UPDATE waitlist_entries SET status = 'claimed' WHERE id = $1", [offer.id]);
+      return claimed;
+    });
+    if (!result) {
+      return res.status(410).json({ error: 'Offer not found or expired' });
+    }
+
+    const { booking, payment } = result;
+    if (payment) {
+      return res.status(202).json({
+        message: 'Complete the payment to confirm the session',
+        booking_id: booking.id,
+        payment_id: payment.id,
+        checkout_url: payment.checkout_url,
+        amount: Number(payment.amount),
+        currency: payment.currency,
+        expires_at: formatDate(new Date(booking.hold_expires_at)),
+      });
+    }
+
+    res.status(200).json({ message: 'Session booked successfully', booking_id: booking.id, meeting_url: booking.meeting_url });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Failed to claim slot' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+// Creates an admin account, or makes an existing account an admin.
+// Admins cannot register themselves, run this on the server: npm run create-admin [-- email]
+const bcrypt = require('bcrypt');
+const prompt = require('prompt-sync')({ sigint: true });
+const pool = require('../utility/db');
+const { DEFAULT_TIME_ZONE } = require('../utility/datetime');
+const { revokeSessions } = require('../utility/auth-token');
+
+async function createAdmin() {
+  const email = process.argv[2] || prompt('Admin email: ');
+  if (!email) {
+    throw new Error('An email is required');
+  }
+
+  const userResult = await pool.query('SELECT user_type FROM users_js WHERE email = $1', [email]);
+  const existing = userResult.rows[0];
+
+  if (existing) {
+    if (existing.user_type === 'admin') {
+      console.log(`${email} is already an admin`);
+      return;
+    }
+    const answer = prompt(`${email} is a ${existing.user_type} account. Make it an admin? (y/N) `);
+    if (answer.toLowerCase() !== 'y') {
+      console.log('Nothing changed');
+      return;
+    }
+    await pool.query("UPDATE users_js SET user_type = 'admin', status = 'active' WHERE email = $1", [email]);
+    // Its sessions were issued for the old account type
+    await revokeSessions(pool, email);
+    console.log(`${email} is now an admin`);
+    return;
+  }
+
+  const password = prompt('Password: ', { echo: '*' });
+  if (password.length < 8) {
+    throw new Error('The password must be at least 8 characters');
+  }
+  if (prompt('Repeat password: ', { echo: '*' }) !== password) {
+    throw new Error('The passwords do not match');
+  }
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+  await pool.query(
+    "INSERT INTO users_js (email, password, user_type, time_zone) VALUES ($1, $2, 'admin', $3)",
+    [email, hashedPassword, DEFAULT_TIME_ZONE]
+  );
+  console.log(`Admin account ${email} created`);
+}
+
+createAdmin()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,76 @@
+// Applies and reverts the schema migrations in app/migrations against POSTGRES_URL.
+//   npm run migrate                         apply all pending migrations
+//   npm run migrate -- up [version]         apply pending migrations, up to version if given
+//   npm run migrate -- down [count]         revert the last count migrations, 1 by default
+//   npm run migrate -- status               list migrations and whether they are applied
+//   npm run migrate -- baseline <version>   mark migrations up to version as applied without running them
+//   npm run migrate -- create <name>        add empty up and down scripts for a new migration
+const pool = require('../utility/db');
+const { migrateUp, migrateDown, baseline, getStatus, createMigration } = require('../utility/migrations');
+
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+// A positive integer argument, or the fallback when it is missing
+function readNumber(value, fallback, label) {
+  if (value === undefined) {
+    if (fallback === undefined) throw new Error(`A ${label} is required`);
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${label} ${value}`);
+  }
+  return number;
+}
+
+const commands = {
+  async up(version) {
+    const applied = await migrateUp(readNumber(version, Infinity, 'version'));
+    applied.forEach((migration) => console.log(`Applied ${formatMigration(migration)}`));
+    console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Database is up to date');
+  },
+
+  async down(count) {
+    const reverted = await migrateDown(readNumber(count, 1, 'count'));
+    reverted.forEach((migration) => console.log(`Reverted ${formatMigration(migration)}`));
+    console.log(reverted.length > 0 ? `${reverted.length} migration(s) reverted` : 'No migrations to revert');
+  },
+
+  async status() {
+    const status = await getStatus();
+    for (const migration of status) {
+      const state = migration.applied_at ? `applied ${migration.applied_at.toISOString()}` : 'pending';
+      const notes = [migration.changed ? 'edited since applied' : null, migration.missing ? 'files missing' : null].filter(Boolean);
+      console.log(`${formatMigration(migration)}  ${state}${notes.length > 0 ? `  (${notes.join(', ')})` : ''}`);
+    }
+    const pending = status.filter((migration) => !migration.applied_at).length;
+    console.log(pending > 0 ? `${pending} pending` : 'Database is up to date');
+  },
+
+  async baseline(version) {
+    const recorded = await baseline(readNumber(version, undefined, 'version'));
+    recorded.forEach((migration) => console.log(`Marked ${formatMigration(migration)} as applied`));
+    console.log(`${recorded.length} migration(s) marked as applied`);
+  },
+
+  async create(...words) {
+    createMigration(words.join(' ')).forEach((file) => console.log(`Created ${file}`));
+  },
+};
+
+async function migrate() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    throw new Error(`Unknown command ${command}. Use one of ${Object.keys(commands).join(', ')}.`);
+  }
+  await commands[command](...args);
+}
+
+migrate()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
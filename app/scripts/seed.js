@@ -0,0 +1,153 @@
+// Loads the sample accounts, speakers and bookings of app/seeds/development.js for local development.
+// Run npm run migrate first, then: npm run seed
+// Every account signs in with SEED_PASSWORD (default password123). Refuses to run with NODE_ENV=production.
+const bcrypt = require('bcrypt');
+const pool = require('../utility/db');
+const { withTransaction } = require('../utility/transaction');
+const { getZonedParts, zonedTimeToUtc } = require('../utility/datetime');
+const { getSessionEnd, getBlockedUntil } = require('../utility/session-types');
+const { createReceiptNumber } = require('../utility/receipts');
+const { getStatus } = require('../utility/migrations');
+const { DEFAULT_PROVIDER, FALLBACK_PROVIDER, getProvider } = require('../conferencing');
+const { accounts, speakers, bookings } = require('../seeds/development');
+
+const WEEKEND = [0, 6];
+
+// Start of a session days working days from today at hour in the time zone, negative days are in the past
+function getSessionStart(days, hour, timeZone) {
+  const step = days < 0 ? -1 : 1;
+  let date = new Date();
+  for (let left = Math.abs(days); left > 0;) {
+    date = new Date(date.getTime() + step * 24 * 60 * 60 * 1000);
+    if (!WEEKEND.includes(getZonedParts(date, timeZone).weekday)) left--;
+  }
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day, hour }, timeZone);
+}
+
+async function insertAccount(client, account, hashedPassword) {
+  await client.query(
+    'INSERT INTO users_js (email, password, user_type, time_zone) VALUES ($1, $2, $3, $4)',
+    [account.email, hashedPassword, account.user_type, account.time_zone]
+  );
+}
+
+// Inserts a speaker with their profile, working hours and session types. Returns the session types by name.
+async function insertSpeaker(client, speaker, hashedPassword) {
+  await client.query(
+    `INSERT INTO users_js (email, password, user_type, time_zone, approved_at, approved_by, display_name, bio, expertise,
+       tags, languages, price_per_session, currency, slot_length_minutes, meeting_provider, meeting_link)
+     VALUES ($1, $2, 'speaker', $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+    [
+      speaker.email, hashedPassword, speaker.time_zone,
+      speaker.approved ? new Date() : null, speaker.approved ? 'seed' : null,
+      speaker.display_name, speaker.bio, speaker.expertise, speaker.tags, speaker.languages,
+      speaker.price_per_session, speaker.currency, speaker.slot_length_minutes, speaker.meeting_provider, speaker.meeting_link,
+    ]
+  );
+
+  for (let weekday = 0; weekday < 7; weekday++) {
+    const hours = WEEKEND.includes(weekday) ? { start_hour: null, end_hour: null } : speaker.working_hours;
+    await client.query(
+      'INSERT INTO speaker_working_hours (speaker_email, weekday, start_hour, end_hour) VALUES ($1, $2, $3, $4)',
+      [speaker.email, weekday, hours.start_hour, hours.end_hour]
+    );
+  }
+
+  const sessionTypes = new Map();
+  for (const type of speaker.session_types) {
+    const typeResult = await client.query(
+      `INSERT INTO session_types (speaker_email, name, duration_minutes, price, buffer_minutes)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [speaker.email, type.name, type.duration_minutes, type.price, type.buffer_minutes]
+    );
+    sessionTypes.set(type.name, typeResult.rows[0]);
+  }
+  return sessionTypes;
+}
+
+async function insertBooking(client, booking, speaker, sessionType) {
+  const start = getSessionStart(booking.days, booking.hour, speaker.time_zone);
+  const meetingProvider = getProvider(speaker.meeting_provider || DEFAULT_PROVIDER);
+  // Google Meet links only exist with a calendar event, seeded bookings have none
+  const meetingUrl = meetingProvider.createMeeting(speaker) || getProvider(FALLBACK_PROVIDER).createMeeting(speaker);
+
+  // Past sessions were booked a week ahead, so they can be reviewed
+  const createdAt = new Date(Math.min(Date.now(), start.getTime() - 7 * 24 * 60 * 60 * 1000));
+
+  const bookingResult = await client.query(
+    `INSERT INTO bookings (user_email, speaker_email, session_date, session_end, blocked_until, session_type_id, status,
+       cancelled_at, cancelled_by, meeting_provider, meeting_url, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, 'confirmed', $7, $8, $9, $10, $11) RETURNING *`,
+    [
+      booking.user, booking.speaker, start, getSessionEnd(start, sessionType), getBlockedUntil(start, sessionType), sessionType.id,
+      booking.cancelled_by ? new Date() : null, booking.cancelled_by || null, meetingProvider.name, meetingUrl, createdAt,
+    ]
+  );
+  const newBooking = bookingResult.rows[0];
+
+  if (booking.paid) {
+    const paymentResult = await client.query(
+      `INSERT INTO payments (booking_id, provider, provider_payment_id, amount, currency, status, paid_at)
+       VALUES ($1, 'fake', $2, $3, $4, 'succeeded', NOW()) RETURNING *`,
+      [newBooking.id, `seed_pay_${newBooking.id}`, sessionType.price, speaker.currency]
+    );
+    const payment = paymentResult.rows[0];
+    await client.query('UPDATE payments SET receipt_number = $1 WHERE id = $2', [createReceiptNumber(payment, new Date(payment.paid_at)), payment.id]);
+  }
+
+  if (booking.review) {
+    await client.query(
+      `INSERT INTO reviews (booking_id, user_email, speaker_email, rating, review, reply, replied_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+      [newBooking.id, booking.user, booking.speaker, booking.review.rating, booking.review.review, booking.review.reply]
+    );
+  }
+}
+
+async function seed() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Seed data is for local development, not production');
+  }
+
+  const pending = (await getStatus()).filter((migration) => !migration.applied_at);
+  if (pending.length > 0) {
+    throw new Error(`${pending.length} migration(s) are pending, run npm run migrate first`);
+  }
+
+  const emails = [...accounts, ...speakers].map((account) => account.email);
+  const existingResult = await pool.query('SELECT email FROM users_js WHERE email = ANY($1)', [emails]);
+  if (existingResult.rows.length > 0) {
+    console.log(`Seed data is already loaded (${existingResult.rows.map((row) => row.email).join(', ')})`);
+    return;
+  }
+
+  const password = process.env.SEED_PASSWORD || 'password123';
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  await withTransaction(async (client) => {
+    for (const account of accounts) {
+      await insertAccount(client, account, hashedPassword);
+    }
+
+    const sessionTypes = new Map();
+    for (const speaker of speakers) {
+      sessionTypes.set(speaker.email, await insertSpeaker(client, speaker, hashedPassword));
+    }
+
+    for (const booking of bookings) {
+      const speaker = speakers.find((item) => item.email === booking.speaker);
+      await insertBooking(client, booking, speaker, sessionTypes.get(booking.speaker).get(booking.session_type));
+    }
+  });
+
+  console.log(`Loaded ${accounts.length + speakers.length} accounts and ${bookings.length} bookings. Sign in with any of them and password ${password}:`);
+  emails.forEach((email) => console.log(`  ${email}`));
+}
+
+seed()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,99 @@
+// Sample data for local development, loaded with npm run seed. Dates are relative to the day the
+// seed runs: days counts working days from today, hour is in the speaker's time zone.
+
+const accounts = [
+  { email: 'admin@example.com', user_type: 'admin', time_zone: 'Asia/Kolkata' },
+  { email: 'alice@example.com', user_type: 'user', time_zone: 'Asia/Kolkata' },
+  { email: 'bob@example.com', user_type: 'user', time_zone: 'Europe/Berlin' },
+];
+
+// Working hours apply Monday to Friday, weekends are days off
+const speakers = [
+  {
+    email: 'priya@example.com',
+    time_zone: 'Asia/Kolkata',
+    approved: true,
+    display_name: 'Priya Sharma',
+    bio: 'Backend engineer, ten years of Node.js in production. Happy to review your API design.',
+    expertise: 'JavaScript, Node.js, Express',
+    tags: ['javascript', 'node', 'backend'],
+    languages: ['en', 'hi'],
+    price_per_session: 1000,
+    currency: 'INR',
+    slot_length_minutes: 30,
+    meeting_provider: 'jitsi',
+    meeting_link: null,
+    working_hours: { start_hour: 9, end_hour: 17 },
+    session_types: [
+      { name: 'Intro call', duration_minutes: 30, price: 0, buffer_minutes: 0 },
+      { name: 'Mentoring session', duration_minutes: 60, price: 1000, buffer_minutes: 15 },
+    ],
+  },
+  {
+    email: 'daniel@example.com',
+    time_zone: 'Europe/London',
+    approved: true,
+    display_name: 'Daniel Moore',
+    bio: 'Database and system design consultant.',
+    expertise: 'System design, PostgreSQL',
+    tags: ['system-design', 'postgres', 'databases'],
+    languages: ['en'],
+    price_per_session: 40,
+    currency: 'GBP',
+    slot_length_minutes: 60,
+    meeting_provider: 'static',
+    meeting_link: 'https://meet.example.com/daniel-moore',
+    working_hours: { start_hour: 10, end_hour: 18 },
+    session_types: [
+      { name: 'Design review', duration_minutes: 60, price: 40, buffer_minutes: 10 },
+      { name: 'Quick question', duration_minutes: 15, price: 0, buffer_minutes: 0 },
+    ],
+  },
+  {
+    // Waits for an admin in GET /admin/users
+    email: 'mei@example.com',
+    time_zone: 'Asia/Singapore',
+    approved: false,
+    display_name: 'Mei Tan',
+    bio: null,
+    expertise: 'Product management',
+    tags: ['product'],
+    languages: ['en', 'zh'],
+    price_per_session: 50,
+    currency: 'SGD',
+    slot_length_minutes: 60,
+    meeting_provider: null,
+    meeting_link: null,
+    working_hours: { start_hour: 9, end_hour: 17 },
+    session_types: [
+      { name: 'Product review', duration_minutes: 45, price: 50, buffer_minutes: 15 },
+    ],
+  },
+];
+
+// Paid sessions get a succeeded payment of the fake provider. cancelled_by cancels the booking.
+const bookings = [
+  { user: 'alice@example.com', speaker: 'priya@example.com', session_type: 'Intro call', days: 2, hour: 10 },
+  { user: 'bob@example.com', speaker: 'priya@example.com', session_type: 'Mentoring session', days: 3, hour: 14, paid: true },
+  { user: 'bob@example.com', speaker: 'daniel@example.com', session_type: 'Quick question', days: 5, hour: 15, cancelled_by: 'bob@example.com' },
+  { user: 'alice@example.com', speaker: 'priya@example.com', session_type: 'Intro call', days: -3, hour: 11 },
+  {
+    user: 'alice@example.com',
+    speaker: 'daniel@example.com',
+    session_type: 'Design review',
+    days: -7,
+    hour: 11,
+    paid: true,
+    review: {
+      rating: 5,
+      review: 'Clear, practical advice on our schema. Would book again.',
+      reply: 'Thanks Alice, good luck with the migration!',
+    },
+  },
+];
+
+module.exports = {
+  accounts,
+  speakers,
+  bookings,
+};
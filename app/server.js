@@ -8,12 +8,24 @@ const pool = require('./utility/db');
 const authRoutes = require('./routes/auth');
 const bookingRoutes = require('./routes/booking');
 const speakerRoutes = require('./routes/speakers');
+const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payments');
+const waitlistRoutes = require('./routes/waitlist');
+const calendarRoutes = require('./routes/calendar');
+const { startOutboxWorker } = require('./utility/outbox');
+const { startReminderScheduler } = require('./utility/reminders');
+const { startWaitlistScheduler } = require('./utility/waitlist');
+const { startBusyTimeSync } = require('./utility/calendar');
 
 const app = express();
 const port = 10000;
 
+// Render runs the app behind a proxy, read client IPs from X-Forwarded-For
+app.set('trust proxy', 1);
+
 // Middlewares
-app.use(express.json());
+// Payment webhooks are verified against the raw body, keep it next to the parsed one
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(cookieParser());
 
 const swaggerDefinition = {
@@ -28,6 +40,14 @@ const swaggerDefinition = {
       url: `https://pa-assgn.onrender.com`,
     },
   ],
+  components: {
+    // Protected endpoints take the access token from the token cookie or an Authorization header
+    securitySchemes: {
+      cookieAuth: { type: 'apiKey', in: 'cookie', name: 'token' },
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+    },
+  },
+  security: [{ cookieAuth: [] }, { bearerAuth: [] }],
 };
 
 const options = {
@@ -42,6 +62,10 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 app.use('/auth', authRoutes);
 app.use('/booking', bookingRoutes);
 app.use('/speakers', speakerRoutes);
+app.use('/admin', adminRoutes);
+app.use('/payments', paymentRoutes);
+app.use('/waitlist', waitlistRoutes);
+app.use('/calendar', calendarRoutes);
 
 /**
  * @swagger
@@ -68,4 +92,16 @@ app.get('/', (req, res) => {
 app.listen(port, () => {
   console.log(`Server is running on https://pa-assgn.onrender.com`);
   console.log(`Swagger UI is available at https://pa-assgn.onrender.com/api-docs`);
-});
\ No newline at end of file
+});
+
+// Deliver booking emails and calendar updates in the background
+startOutboxWorker();
+
+// Queue reminder emails ahead of upcoming sessions
+startReminderScheduler();
+
+// Offer freed slots to the waitlist and move on from unclaimed offers
+startWaitlistScheduler();
+
+// Import busy times from the calendars speakers connected
+startBusyTimeSync();
\ No newline at end of file
@@ -0,0 +1,38 @@
+const pool = require('./db');
+const { DEFAULT_TIME_ZONE } = require('./datetime');
+
+// SQL condition on users_js for speakers that are listed and can be booked: approved by an admin and not suspended
+const LISTED_SPEAKER = "user_type = 'speaker' AND status = 'active' AND approved_at IS NOT NULL";
+
+// Time zone of each account, keyed by email
+async function getTimeZones(emails) {
+  const zonesResult = await pool.query('SELECT email, time_zone FROM users_js WHERE email = ANY($1)', [emails]);
+  const timeZones = new Map(emails.map((email) => [email, DEFAULT_TIME_ZONE]));
+  for (const row of zonesResult.rows) {
+    timeZones.set(row.email, row.time_zone || DEFAULT_TIME_ZONE);
+  }
+  return timeZones;
+}
+
+// Public profile of a speaker, as listed and searched. rating comes from getRatings in utility/reviews.js.
+function serializeSpeaker(speaker, rating = { average_rating: null, review_count: 0 }) {
+  return {
+    email: speaker.email,
+    display_name: speaker.display_name || speaker.email,
+    bio: speaker.bio || null,
+    expertise: speaker.expertise || 'N/A',
+    tags: speaker.tags || [],
+    languages: speaker.languages || [],
+    photo_url: speaker.photo_url || null,
+    price_per_session: speaker.price_per_session || 'Not Updated',
+    currency: speaker.currency,
+    average_rating: rating.average_rating,
+    review_count: rating.review_count,
+  };
+}
+
+module.exports = {
+  LISTED_SPEAKER,
+  getTimeZones,
+  serializeSpeaker,
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('./db');
+require('dotenv').config();
+
+const ACCESS_TOKEN_MINUTES = Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Refresh tokens are "<session id>.<random secret>", only a hash of the secret is stored
+function createRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function getRefreshTokenSession(refreshToken) {
+  const match = typeof refreshToken === 'string' && refreshToken.match(/^(\d+)\.[\w-]+$/);
+  return match ? Number(match[1]) : null;
+}
+
+// Short-lived access token of a session, checked by verifyToken on every protected route
+function signToken(user, sessionId) {
+  return jwt.sign(
+    { email: user.email, user_type: user.user_type, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
+  );
+}
+
+// Starts a session for a device. Returns { session, accessToken, refreshToken }.
+async function createSession(db, user, { userAgent, ip } = {}) {
+  const sessionResult = await db.query(
+    `INSERT INTO auth_sessions (user_email, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 day') RETURNING *`,
+    [user.email, userAgent || null, ip || null, REFRESH_TOKEN_DAYS]
+  );
+  const session = sessionResult.rows[0];
+
+  const refreshToken = createRefreshToken(session.id);
+  await db.query('UPDATE auth_sessions SET refresh_token_hash = $1 WHERE id = $2', [hashToken(refreshToken), session.id]);
+
+  return { session, accessToken: signToken(user, session.id), refreshToken };
+}
+
+// Trades a refresh token for a new access token and a new refresh token. The old refresh token
+// stops working. Presenting it again means it was copied, so the whole session is revoked.
+// Returns { accessToken, refreshToken } or null.
+async function refreshSession(refreshToken) {
+  const sessionId = getRefreshTokenSession(refreshToken);
+  if (!sessionId) {
+    return null;
+  }
+
+  const sessionResult = await pool.query(
+    `SELECT s.*, u.user_type FROM auth_sessions s JOIN users_js u ON u.email = s.user_email
+     WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW() AND u.status = 'active'`,
+    [sessionId]
+  );
+  const session = sessionResult.rows[0];
+  if (!session) {
+    return null;
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  if (tokenHash === session.previous_token_hash) {
+    await pool.query('UPDATE auth_sessions SET revoked_at = NOW() WHERE id = $1', [session.id]);
+    return null;
+  }
+
+  // Rotate, unless another request rotated the token first
+  const newRefreshToken = createRefreshToken(session.id);
+  const rotateResult = await pool.query(
+    `UPDATE auth_sessions SET refresh_token_hash = $1, previous_token_hash = $2, last_used_at = NOW()
+     WHERE id = $3 AND refresh_token_hash = $2 AND revoked_at IS NULL`,
+    [hashToken(newRefreshToken), tokenHash, session.id]
+  );
+  if (rotateResult.rowCount === 0) {
+    return null;
+  }
+
+  return {
+    accessToken: signToken({ email: session.user_email, user_type: session.user_type }, session.id),
+    refreshToken: newRefreshToken,
+  };
+}
+
+// Verifies an access token and checks that its session has not been revoked.
+// Returns the signed in account as { email, user_type, status, time_zone, session_id }.
+// Throws a JsonWebTokenError for invalid and revoked tokens, like jwt.verify.
+async function verifyToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const accountResult = await pool.query(
+    `SELECT u.email, u.user_type, u.status, u.time_zone, s.id AS session_id
+     FROM auth_sessions s JOIN users_js u ON u.email = s.user_email
+     WHERE s.id = $1 AND s.user_email = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [decoded.sid, decoded.email]
+  );
+  if (accountResult.rows.length === 0) {
+    throw new jwt.JsonWebTokenError('Session has been revoked');
+  }
+  return accountResult.rows[0];
+}
+
+// Active sessions of an account, most recently used first
+async function listSessions(email) {
+  const sessionsResult = await pool.query(
+    `SELECT id, user_agent, ip, created_at, last_used_at, expires_at FROM auth_sessions
+     WHERE user_email = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY COALESCE(last_used_at, created_at) DESC`,
+    [email]
+  );
+  return sessionsResult.rows;
+}
+
+// Signs one device out. Returns false if the account has no such active session.
+async function revokeSession(db, email, sessionId) {
+  const revokeResult = await db.query(
+    'UPDATE auth_sessions SET revoked_at = NOW() WHERE id = $1 AND user_email = $2 AND revoked_at IS NULL',
+    [sessionId, email]
+  );
+  return revokeResult.rowCount > 0;
+}
+
+// Signs out the device holding the refresh token. Returns false if the token does not match an active session.
+async function revokeRefreshToken(refreshToken) {
+  const sessionId = getRefreshTokenSession(refreshToken);
+  if (!sessionId) {
+    return false;
+  }
+  const revokeResult = await pool.query(
+    'UPDATE auth_sessions SET revoked_at = NOW() WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL',
+    [sessionId, hashToken(refreshToken)]
+  );
+  return revokeResult.rowCount > 0;
+}
+
+// Signs the account out everywhere, except on the session given in exceptSessionId
+async function revokeSessions(db, email, exceptSessionId = null) {
+  const revokeResult = await db.query(
+    `UPDATE auth_sessions SET revoked_at = NOW()
+     WHERE user_email = $1 AND revoked_at IS NULL AND ($2::INTEGER IS NULL OR id <> $2)`,
+    [email, exceptSessionId]
+  );
+  return revokeResult.rowCount;
+}
+
+module.exports = {
+  ACCESS_TOKEN_MINUTES,
+  REFRESH_TOKEN_DAYS,
+  createSession,
+  refreshSession,
+  verifyToken,
+  listSessions,
+  revokeSession,
+  revokeRefreshToken,
+  revokeSessions,
+};
@@ -0,0 +1,198 @@
+const { withTransaction } = require('./transaction');
+const { enqueue } = require('./outbox');
+const {
+  getSessionPrice,
+  getPaymentDeadline,
+  startPayment,
+  queueRefund,
+  refundCancelledBooking,
+  enqueueReceipt,
+} = require('./payments');
+const { createReceiptNumber } = require('./receipts');
+const { getExcludedDates, getSeriesRecurrence, getSeriesEvent } = require('./series');
+const { offerFreedSlots } = require('./waitlist');
+const { assignMeeting } = require('./meetings');
+const { buildBookingEmails } = require('../notifications/booking-emails');
+
+// Queues a templated email to each party of a booking, sent once the transaction commits
+async function enqueueNotice(client, template, booking, extra) {
+  for (const message of await buildBookingEmails(client, template, booking, extra)) {
+    await enqueue(client, 'email', message);
+  }
+}
+
+// Gives a booking that was just confirmed its meeting link and queues its confirmation email and
+// calendar event. Returns the booking with its meeting.
+async function confirmBooking(client, booking) {
+  const [confirmed] = await assignMeeting(client, [booking]);
+  await enqueueNotice(client, 'booking-confirmed', confirmed);
+  await enqueue(client, 'calendar.create', { booking_id: confirmed.id });
+  return confirmed;
+}
+
+// Turns a held slot into a booking. Free sessions are confirmed right away, paid ones wait for the
+// payment until the deadline. Returns { booking, payment }, payment only for paid sessions.
+async function confirmHold(client, hold) {
+  const price = await getSessionPrice(client, hold.speaker_email, hold.session_type_id);
+  const confirmResult = await client.query(
+    'UPDATE bookings SET status = $1, hold_expires_at = $2 WHERE id = $3 RETURNING *',
+    price.amount > 0 ? ['pending_payment', getPaymentDeadline(), hold.id] : ['confirmed', null, hold.id]
+  );
+  const booking = confirmResult.rows[0];
+
+  if (booking.status === 'pending_payment') {
+    const payment = await startPayment(client, booking, price);
+    return { booking, payment };
+  }
+
+  return { booking: await confirmBooking(client, booking) };
+}
+
+// Gives the sessions of a series that were just confirmed one shared meeting link and queues one
+// confirmation email for all of them, with the whole recurring event as invite, and the series'
+// calendar event. Returns the bookings with their meeting.
+async function confirmSeries(client, series, bookings) {
+  const confirmed = await assignMeeting(client, bookings);
+  await enqueueNotice(client, 'series-confirmed', getSeriesEvent(series, confirmed), {
+    bookings: confirmed,
+    skipped_dates: getExcludedDates(series, confirmed),
+    recurrence: getSeriesRecurrence(series, confirmed),
+    interval_weeks: series.interval_weeks,
+  });
+  await enqueue(client, 'calendar.series.sync', { series_id: series.id });
+  return confirmed;
+}
+
+// Cancels a booking and queues the calendar and email updates, and the refund of a paid booking,
+// in one transaction, and offers the freed slot to the waitlist. Returns the cancelled booking with its refund, or null if it was already cancelled.
+async function cancelBooking(id, cancelledBy) {
+  return withTransaction(async (client) => {
+    const cancelResult = await client.query(
+      "UPDATE bookings SET cancelled_at = NOW(), cancelled_by = $1 WHERE id = $2 AND status = 'confirmed' AND cancelled_at IS NULL RETURNING *",
+      [cancelledBy, id]
+    );
+    const booking = cancelResult.rows[0];
+    if (!booking) {
+      return null;
+    }
+
+    const refund = await refundCancelledBooking(client, booking, cancelledBy);
+    await enqueue(client, 'calendar.delete', { booking_id: booking.id });
+    if (booking.series_id) {
+      await enqueue(client, 'calendar.series.sync', { series_id: booking.series_id });
+    }
+    await enqueueNotice(client, 'booking-cancelled', booking, {
+      cancelled_by: cancelledBy,
+      refund: refund ? `${refund.amount} ${refund.currency}` : null,
+    });
+    await offerFreedSlots(client, booking.speaker_email);
+    return { ...booking, refund };
+  });
+}
+
+// Cancels the sessions of a series that start at or after from, with one email and calendar update
+// for all of them and the refunds of a paid series. Returns the cancelled bookings and their total refund.
+async function cancelSeries(series, cancelledBy, from) {
+  return withTransaction(async (client) => {
+    const cancelResult = await client.query(
+      `UPDATE bookings SET cancelled_at = NOW(), cancelled_by = $1
+       WHERE series_id = $2 AND status = 'confirmed' AND cancelled_at IS NULL AND session_date >= $3
+       RETURNING *`,
+      [cancelledBy, series.id, from]
+    );
+    const bookings = cancelResult.rows.sort((a, b) => new Date(a.session_date) - new Date(b.session_date));
+    if (bookings.length === 0) {
+      return { bookings, refund: null };
+    }
+
+    let refund = null;
+    for (const booking of bookings) {
+      const bookingRefund = await refundCancelledBooking(client, booking, cancelledBy);
+      if (bookingRefund) {
+        refund = { amount: Math.round(((refund ? refund.amount : 0) + bookingRefund.amount) * 100) / 100, currency: bookingRefund.currency };
+      }
+      // Rescheduled sessions have an event of their own
+      await enqueue(client, 'calendar.delete', { booking_id: booking.id });
+    }
+    await enqueue(client, 'calendar.series.sync', { series_id: series.id });
+    await enqueueNotice(client, 'series-cancelled', bookings[0], {
+      bookings,
+      cancelled_by: cancelledBy,
+      refund: refund ? `${refund.amount} ${refund.currency}` : null,
+    });
+    await offerFreedSlots(client, series.speaker_email);
+    return { bookings, refund };
+  });
+}
+
+// Applies a verified payment webhook. A successful payment confirms its booking or series, or is
+// refunded in full when they gave up their slots in the meantime. Repeated deliveries change nothing.
+async function handlePaymentEvent({ type, providerPaymentId }) {
+  return withTransaction(async (client) => {
+    const paymentResult = await client.query('SELECT * FROM payments WHERE provider_payment_id = $1 FOR UPDATE', [providerPaymentId]);
+    const payment = paymentResult.rows[0];
+    if (!payment) {
+      return null;
+    }
+
+    if (type === 'payment.failed') {
+      if (payment.status !== 'pending') return payment;
+
+      // Free the slots so they can be booked again
+      await client.query("UPDATE payments SET status = 'failed' WHERE id = $1", [payment.id]);
+      await client.query(
+        `UPDATE bookings SET cancelled_at = NOW(), cancelled_by = 'payment-failed'
+         WHERE (id = $1 OR series_id = $2) AND status = 'pending_payment' AND cancelled_at IS NULL`,
+        [payment.booking_id, payment.series_id]
+      );
+      return payment;
+    }
+
+    if (type !== 'payment.succeeded' || !['pending', 'failed', 'expired'].includes(payment.status)) {
+      return payment;
+    }
+
+    const paidAt = new Date();
+    const paidResult = await client.query(
+      "UPDATE payments SET status = 'succeeded', paid_at = $1, receipt_number = $2 WHERE id = $3 RETURNING *",
+      [paidAt, createReceiptNumber(payment, paidAt), payment.id]
+    );
+    const paid = paidResult.rows[0];
+
+    // A series payment confirms all sessions of the series, they share the same deadline
+    const bookingResult = await client.query(
+      `UPDATE bookings SET status = 'confirmed', hold_expires_at = NULL
+       WHERE (id = $1 OR series_id = $2) AND status = 'pending_payment' AND cancelled_at IS NULL AND hold_expires_at > NOW()
+       RETURNING *`,
+      [payment.booking_id, payment.series_id]
+    );
+    const bookings = bookingResult.rows.sort((a, b) => new Date(a.session_date) - new Date(b.session_date));
+
+    if (bookings.length > 0 && payment.series_id) {
+      const seriesResult = await client.query('SELECT * FROM booking_series WHERE id = $1', [payment.series_id]);
+      await confirmSeries(client, seriesResult.rows[0], bookings);
+    } else if (bookings.length > 0) {
+      await confirmBooking(client, bookings[0]);
+    } else {
+      // Paid too late, the slots may already be someone else's
+      await client.query(
+        `UPDATE bookings SET cancelled_at = NOW(), cancelled_by = 'payment-timeout'
+         WHERE (id = $1 OR series_id = $2) AND status = 'pending_payment' AND cancelled_at IS NULL`,
+        [payment.booking_id, payment.series_id]
+      );
+      await queueRefund(client, paid, Number(paid.amount));
+    }
+    await enqueueReceipt(client, paid);
+    return paid;
+  });
+}
+
+module.exports = {
+  enqueueNotice,
+  confirmBooking,
+  confirmHold,
+  confirmSeries,
+  cancelBooking,
+  cancelSeries,
+  handlePaymentEvent,
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const pool = require('./db');
+const { buildEvent, buildCalendar } = require('./ics');
+require('dotenv').config();
+
+// Days of past sessions a feed keeps listing
+const FEED_PAST_DAYS = Number(process.env.CALENDAR_FEED_PAST_DAYS) || 90;
+
+// How often subscribed calendars are asked to reload a feed
+const FEED_REFRESH_MINUTES = 60;
+
+const APP_URL = process.env.APP_URL || 'http://localhost:10000';
+
+// Bookings with the names shown in their events
+const BOOKING_EVENTS = `
+  SELECT b.*, COALESCE(s.display_name, s.email) AS speaker_name, t.name AS session_type
+  FROM bookings b
+  JOIN users_js s ON s.email = b.speaker_email
+  LEFT JOIN session_types t ON t.id = b.session_type_id`;
+
+// Feed tokens are random, only their hash is stored
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function getFeedUrl(token) {
+  return `${APP_URL}/calendar/feed/${token}.ics`;
+}
+
+// Creates a new feed token for an account, turning off the previous feed URL. Returns the new URL.
+async function resetFeedToken(email) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await pool.query(
+    'UPDATE users_js SET calendar_feed_token_hash = $1, calendar_feed_created_at = NOW() WHERE email = $2',
+    [hashFeedToken(token), email]
+  );
+  return getFeedUrl(token);
+}
+
+// Account a feed token belongs to, or null. Suspended accounts have no feed.
+async function findFeedOwner(token) {
+  const ownerResult = await pool.query(
+    "SELECT email FROM users_js WHERE calendar_feed_token_hash = $1 AND status = 'active'",
+    [hashFeedToken(token)]
+  );
+  return ownerResult.rows[0] || null;
+}
+
+// VEVENT of a booking as seen by one of its parties, each session of a series as an event of its own
+function buildBookingEvent(booking, viewerEmail) {
+  const counterpart = viewerEmail === booking.speaker_email ? booking.user_email : booking.speaker_name;
+  return buildEvent(booking, {
+    summary: `${booking.session_type || 'Session'} with ${counterpart}`,
+    description: `Session between ${booking.user_email} and ${booking.speaker_email}`,
+    standalone: true,
+  });
+}
+
+// Calendar document of an account's feed: its confirmed sessions as user or speaker, recent and upcoming
+async function buildFeed(email) {
+  const bookingsResult = await pool.query(
+    `${BOOKING_EVENTS}
+     WHERE (b.user_email = $1 OR b.speaker_email = $1) AND b.status = 'confirmed' AND b.cancelled_at IS NULL
+       AND b.session_date > NOW() - $2 * INTERVAL '1 day'
+     ORDER BY b.session_date`,
+    [email, FEED_PAST_DAYS]
+  );
+  return buildCalendar(
+    bookingsResult.rows.map((booking) => buildBookingEvent(booking, email)),
+    { name: 'Booked sessions', refreshMinutes: FEED_REFRESH_MINUTES }
+  );
+}
+
+// A booking with the names shown in its event, or null
+async function findBookingEvent(id) {
+  const bookingResult = await pool.query(`${BOOKING_EVENTS} WHERE b.id = $1 AND b.status = 'confirmed'`, [id]);
+  return bookingResult.rows[0] || null;
+}
+
+// Calendar document with a single booking, for downloading. Cancelled bookings are marked as such.
+function buildBookingFile(booking, viewerEmail) {
+  return buildCalendar([buildBookingEvent(booking, viewerEmail)]);
+}
+
+module.exports = {
+  FEED_PAST_DAYS,
+  resetFeedToken,
+  findFeedOwner,
+  buildFeed,
+  findBookingEvent,
+  buildBookingFile,
+};
@@ -0,0 +1,272 @@
+const pool = require('./db');
+const { formatDate } = require('./datetime');
+const { withTransaction } = require('./transaction');
+const { encryptSecret, decryptSecret } = require('./encryption');
+const { getConferenceData } = require('./meetings');
+const { provider } = require('../calendars');
+require('dotenv').config();
+
+// Days ahead busy times are imported for, and how often
+const BUSY_DAYS = Number(process.env.CALENDAR_BUSY_DAYS) || 60;
+const SYNC_MINUTES = Number(process.env.CALENDAR_SYNC_MINUTES) || 15;
+
+// The app's shared Google account from GOOGLE_REFRESH_TOKEN, used for speakers who have not
+// connected a calendar of their own. Returns null when it is not set up.
+function getAppCalendar() {
+  if (provider.name !== 'google' || !process.env.GOOGLE_REFRESH_TOKEN) {
+    return null;
+  }
+  return { owner: null, refreshToken: process.env.GOOGLE_REFRESH_TOKEN, calendarId: 'primary' };
+}
+
+// The calendar a speaker connected, or null
+async function getConnectedCalendar(speakerEmail) {
+  const connectionResult = await pool.query(
+    'SELECT * FROM calendar_connections WHERE speaker_email = $1 AND provider = $2',
+    [speakerEmail, provider.name]
+  );
+  const connection = connectionResult.rows[0];
+  if (!connection) {
+    return null;
+  }
+  return { owner: speakerEmail, refreshToken: decryptSecret(connection.refresh_token_encrypted), calendarId: connection.calendar_id };
+}
+
+// Calendar new events of a speaker go to: their own one, or else the app's shared account
+async function getSpeakerCalendar(speakerEmail) {
+  return (await getConnectedCalendar(speakerEmail)) || getAppCalendar();
+}
+
+// Calendar an existing event of a booking or series lives in, or null if it was disconnected since
+async function getEventCalendar(record) {
+  return record.calendar_owner ? getConnectedCalendar(record.calendar_owner) : getAppCalendar();
+}
+
+// Start and end of the calendar event for a booking, shown in the speaker's time zone
+function getEventTimes(booking, timeZone) {
+  return {
+    start: {
+      dateTime: formatDate(new Date(booking.session_date)),
+      timeZone,
+    },
+    end: {
+      dateTime: formatDate(new Date(booking.session_end)),
+      timeZone,
+    },
+  };
+}
+
+// Where to meet: the booking's meeting link as location and in the description, or a request to
+// create the meeting with the event, like a Google Meet
+function getMeetingFields(booking, description) {
+  if (!booking.meeting_url) {
+    const conferenceData = getConferenceData(booking);
+    return conferenceData ? { description, conferenceData } : { description };
+  }
+  return {
+    location: booking.meeting_url,
+    description: `${description}\nJoin: ${booking.meeting_url}`,
+  };
+}
+
+// Creates the event for a booking on the speaker's calendar and returns it, with its id, htmlLink,
+// meetingUrl when the event created the meeting and the owner to store in calendar_owner.
+// Returns null when the speaker has no calendar.
+async function createBookingEvent(booking, timeZone) {
+  const calendar = await getSpeakerCalendar(booking.speaker_email);
+  if (!calendar) {
+    return null;
+  }
+
+  const event = await provider.createEvent(calendar, {
+    summary: 'Session Booking',
+    ...getMeetingFields(booking, 'Session with speaker'),
+    ...getEventTimes(booking, timeZone),
+    attendees: [
+      { email: booking.user_email },
+      { email: booking.speaker_email },
+    ],
+  });
+  return { ...event, owner: calendar.owner };
+}
+
+// Returns false when the calendar holding the event is no longer connected
+async function moveBookingEvent(booking, timeZone) {
+  const calendar = await getEventCalendar(booking);
+  if (!calendar) {
+    return false;
+  }
+  await provider.updateEvent(calendar, booking.calendar_event_id, getEventTimes(booking, timeZone));
+  return true;
+}
+
+async function deleteBookingEvent(booking) {
+  const calendar = await getEventCalendar(booking);
+  if (!calendar) {
+    return false;
+  }
+  await provider.deleteEvent(calendar, booking.calendar_event_id);
+  return true;
+}
+
+// Creates the recurring event of a series and returns it like createBookingEvent. event is the series'
+// first session in the shape of a booking and recurrence its RRULE and EXDATE lines, see utility/series.js.
+async function createSeriesEvent(event, recurrence, timeZone) {
+  const calendar = await getSpeakerCalendar(event.speaker_email);
+  if (!calendar) {
+    return null;
+  }
+
+  const created = await provider.createEvent(calendar, {
+    summary: 'Recurring Session Booking',
+    ...getMeetingFields(event, 'Recurring session with speaker'),
+    ...getEventTimes(event, timeZone),
+    recurrence,
+    attendees: [
+      { email: event.user_email },
+      { email: event.speaker_email },
+    ],
+  });
+  return { ...created, owner: calendar.owner };
+}
+
+// Replaces the recurrence of a series' event, e.g. to leave out a cancelled session
+async function updateSeriesEvent(series, recurrence) {
+  const calendar = await getEventCalendar(series);
+  if (!calendar) {
+    return false;
+  }
+  await provider.updateEvent(calendar, series.calendar_event_id, { recurrence });
+  return true;
+}
+
+async function deleteSeriesEvent(series) {
+  const calendar = await getEventCalendar(series);
+  if (!calendar) {
+    return false;
+  }
+  await provider.deleteEvent(calendar, series.calendar_event_id);
+  return true;
+}
+
+// Stores the calendar a speaker just connected, replacing any earlier one
+async function saveConnection(speakerEmail, { refreshToken, accountEmail }) {
+  await pool.query(
+    `INSERT INTO calendar_connections (speaker_email, provider, account_email, refresh_token_encrypted)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (speaker_email) DO UPDATE SET
+       provider = EXCLUDED.provider, account_email = EXCLUDED.account_email, calendar_id = 'primary',
+       refresh_token_encrypted = EXCLUDED.refresh_token_encrypted, connected_at = NOW(), busy_synced_at = NULL, last_error = NULL`,
+    [speakerEmail, provider.name, accountEmail, encryptSecret(refreshToken)]
+  );
+}
+
+// Disconnects a speaker's calendar and forgets its busy times. Events already on it stay there.
+// Returns false if no calendar was connected.
+async function removeConnection(speakerEmail) {
+  const calendar = await getConnectedCalendar(speakerEmail);
+  const removed = await withTransaction(async (client) => {
+    const deleteResult = await client.query('DELETE FROM calendar_connections WHERE speaker_email = $1', [speakerEmail]);
+    await client.query('DELETE FROM calendar_busy_times WHERE speaker_email = $1', [speakerEmail]);
+    return deleteResult.rowCount > 0;
+  });
+
+  if (calendar) {
+    // Revoking is best effort, the token is gone from the database either way
+    try {
+      await provider.revoke(calendar);
+    } catch (error) {
+      console.error(`Failed to revoke calendar access of ${speakerEmail}`, error);
+    }
+  }
+  return removed;
+}
+
+// Parts of the ranges ({ start, end }) not covered by any of the holes
+function subtractRanges(ranges, holes) {
+  let result = ranges;
+  for (const hole of holes) {
+    result = result.flatMap((range) => {
+      if (hole.end <= range.start || hole.start >= range.end) return [range];
+      return [
+        { start: range.start, end: hole.start },
+        { start: hole.end, end: range.end },
+      ].filter((part) => part.start < part.end);
+    });
+  }
+  return result;
+}
+
+// Replaces the imported busy times of a speaker with the current free/busy of their calendar.
+// Their own confirmed sessions show up as busy there too and are left out, bookings already block them.
+async function syncBusyTimes(speakerEmail) {
+  const calendar = await getConnectedCalendar(speakerEmail);
+  if (!calendar) {
+    return 0;
+  }
+
+  const from = new Date();
+  const to = new Date(from.getTime() + BUSY_DAYS * 24 * 60 * 60 * 1000);
+  try {
+    const busy = await provider.getBusyTimes(calendar, from, to);
+    const bookingsResult = await pool.query(
+      "SELECT session_date, session_end FROM bookings WHERE speaker_email = $1 AND status = 'confirmed' AND cancelled_at IS NULL AND session_end > $2",
+      [speakerEmail, from]
+    );
+    const sessions = bookingsResult.rows.map((booking) => ({ start: new Date(booking.session_date), end: new Date(booking.session_end) }));
+    const busyTimes = subtractRanges(busy, sessions);
+
+    await withTransaction(async (client) => {
+      await client.query('DELETE FROM calendar_busy_times WHERE speaker_email = $1', [speakerEmail]);
+      for (const range of busyTimes) {
+        await client.query(
+          'INSERT INTO calendar_busy_times (speaker_email, starts_at, ends_at) VALUES ($1, $2, $3)',
+          [speakerEmail, range.start, range.end]
+        );
+      }
+      await client.query('UPDATE calendar_connections SET busy_synced_at = NOW(), last_error = NULL WHERE speaker_email = $1', [speakerEmail]);
+    });
+    return busyTimes.length;
+  } catch (error) {
+    // Keep the last imported busy times until the next sync works
+    await pool.query('UPDATE calendar_connections SET last_error = $2 WHERE speaker_email = $1', [speakerEmail, error.message || String(error)]);
+    throw error;
+  }
+}
+
+// Imports the busy times of every connected calendar in the background of the server process
+function startBusyTimeSync() {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const connectionsResult = await pool.query('SELECT speaker_email FROM calendar_connections WHERE provider = $1', [provider.name]);
+      for (const { speaker_email } of connectionsResult.rows) {
+        try {
+          await syncBusyTimes(speaker_email);
+        } catch (error) {
+          console.error(`Failed to import busy times of ${speaker_email}`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Busy time sync failed', error);
+    } finally {
+      running = false;
+    }
+  }, SYNC_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  createBookingEvent,
+  moveBookingEvent,
+  deleteBookingEvent,
+  createSeriesEvent,
+  updateSeriesEvent,
+  deleteSeriesEvent,
+  saveConnection,
+  removeConnection,
+  syncBusyTimes,
+  startBusyTimeSync,
+};
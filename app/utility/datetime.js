@@ -1,11 +1,146 @@
+require('dotenv').config();
+
+// Zone used for accounts that have not picked one and for date-times sent without an offset
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'Asia/Kolkata';
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall clock date and time of an instant in a time zone
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+  };
+}
+
+// Minutes the time zone is ahead of UTC at the given instant
+function getOffsetMinutes(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Instant at which the wall clock in the time zone shows the given date and time.
+// Out of range values roll over, so { day: 1, hour: 0, minute: 600 } is 10 a.m. on the 1st.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  let date = new Date(asUtc - getOffsetMinutes(new Date(asUtc), timeZone) * 60000);
+
+  // The offset can differ on the other side of a daylight saving change
+  const offset = getOffsetMinutes(date, timeZone);
+  date = new Date(asUtc - offset * 60000);
+  return date;
+}
+
+// Leading date and optional time of a date-time string
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+
+// False for out of range parts such as month 13 or hour 34, which Date would roll over into the next day or year
+function isValidDateTime({ year, month, day, hour, minute, second }) {
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    && date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+}
+
+// Parses a date-time string. Strings without a Z or offset are read as wall clock time in the time zone.
+// Returns null for malformed strings and out of range dates or times.
+function parseDateTime(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.match(DATE_TIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+  // A missing time is midnight
+  const [year, month, day, hour, minute, second] = match.slice(1).map((part) => Number(part || 0));
+  const parts = { year, month, day, hour, minute, second };
+  if (!isValidDateTime(parts)) {
+    return null;
+  }
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  if (match[0] !== value) {
+    return null;
+  }
+  return zonedTimeToUtc(parts, timeZone);
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// UTC timestamp, e.g. 2023-12-31T04:30:00Z
 function formatDate(date) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    const seconds = String(date.getSeconds()).padStart(2, '0');
-    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`;
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Wall clock time in the time zone with its offset, e.g. 2023-12-31T10:00:00+05:30
+function formatInZone(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getOffsetMinutes(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const offsetText = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${offsetText}`;
+}
+
+// Time for people to read in emails, e.g. "Sunday, 31 December 2023 at 10:00 (Asia/Kolkata)"
+function formatReadable(date, timeZone) {
+  const text = new Intl.DateTimeFormat('en-GB', { timeZone, dateStyle: 'full', timeStyle: 'short' }).format(date);
+  return `${text} (${timeZone})`;
 }
 
-module.exports = formatDate;
\ No newline at end of file
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseDateTime,
+  formatDate,
+  formatInZone,
+  formatReadable,
+};
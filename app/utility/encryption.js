@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Secrets stored in the database, such as calendar refresh tokens, are encrypted with AES-256-GCM
+// under a key derived from TOKEN_ENCRYPTION_KEY. Stored values look like "v1:<iv>:<tag>:<ciphertext>".
+function getKey() {
+  if (!process.env.TOKEN_ENCRYPTION_KEY) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set');
+  }
+  return crypto.createHash('sha256').update(process.env.TOKEN_ENCRYPTION_KEY).digest();
+}
+
+function encryptSecret(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map((part) => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join(':');
+}
+
+// Throws if the value was not encrypted with the current key or was tampered with
+function decryptSecret(payload) {
+  const [version, iv, tag, ciphertext] = String(payload).split(':');
+  if (version !== 'v1' || !ciphertext) {
+    throw new Error('Unknown encrypted secret format');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+};
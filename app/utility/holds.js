@@ -0,0 +1,14 @@
+const { expireUnpaidBookings } = require('./payments');
+
+// Expired holds and unpaid bookings no longer reserve their slot, remove them before the speaker's bookings change
+async function deleteExpiredHolds(client, speakerEmail) {
+  await client.query(
+    "DELETE FROM bookings WHERE speaker_email = $1 AND status = 'held' AND hold_expires_at <= NOW()",
+    [speakerEmail]
+  );
+  await expireUnpaidBookings(client, speakerEmail);
+}
+
+module.exports = {
+  deleteExpiredHolds,
+};
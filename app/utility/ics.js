@@ -0,0 +1,90 @@
+// Builds iCalendar (RFC 5545) documents for bookings, readable by Google Calendar, Outlook and Apple Calendar
+
+const PRODUCT_ID = '-//PA Assgn//Session Booking//EN';
+
+// 20231231T043000Z
+function formatIcsDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+}
+
+// Sessions of a series share the UID of the series' recurring event, unless written standalone
+function getEventUid(booking, standalone = false) {
+  return booking.series_id && !standalone ? `series-${booking.series_id}@pa-assgn` : `booking-${booking.id}@pa-assgn`;
+}
+
+// VEVENT lines of a booking. Cancelled bookings are marked so calendars remove them, and the
+// meeting link, if any, is the event's location.
+// recurrence holds the RRULE and EXDATE lines of a whole series. Without it, a session of a series
+// is written as that one instance of the recurring event, identified by its RECURRENCE-ID.
+// standalone writes a session of a series as an event of its own, for feeds and downloads that
+// list sessions one by one without the recurring event.
+function buildEvent(booking, { summary, description, sequence = 0, recurrence = null, standalone = false }) {
+  const cancelled = Boolean(booking.cancelled_at);
+  const instance = !recurrence && !standalone && booking.series_id && booking.series_occurrence;
+  return [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(booking, standalone)}`,
+    instance ? `RECURRENCE-ID:${formatIcsDate(new Date(booking.series_occurrence))}` : null,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(new Date(booking.session_date))}`,
+    `DTEND:${formatIcsDate(new Date(booking.session_end))}`,
+    ...(recurrence || []),
+    `SEQUENCE:${sequence}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    booking.meeting_url ? `LOCATION:${escapeText(booking.meeting_url)}` : null,
+    booking.meeting_url ? `URL:${booking.meeting_url}` : null,
+    `ORGANIZER:mailto:${booking.speaker_email}`,
+    `ATTENDEE;ROLE=REQ-PARTICIPANT:mailto:${booking.user_email}`,
+    `ATTENDEE;ROLE=CHAIR:mailto:${booking.speaker_email}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+  ].filter(Boolean);
+}
+
+// Full calendar document. method is REQUEST for invites, CANCEL for cancellations and null for feeds and downloads.
+// refreshMinutes tells subscribed calendars how often to reload a feed.
+function buildCalendar(events, { method = null, name = null, refreshMinutes = null } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    method ? `METHOD:${method}` : null,
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    refreshMinutes ? `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M` : null,
+    refreshMinutes ? `X-PUBLISHED-TTL:PT${refreshMinutes}M` : null,
+    ...events.flat(),
+    'END:VCALENDAR',
+  ].filter(Boolean);
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  formatIcsDate,
+  getEventUid,
+  buildEvent,
+  buildCalendar,
+};
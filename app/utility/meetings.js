@@ -0,0 +1,73 @@
+const { DEFAULT_PROVIDER, FALLBACK_PROVIDER, getProvider } = require('../conferencing');
+
+// Meeting for new sessions of a speaker with the provider they picked: { provider, url }.
+// url is null for providers whose link comes with the calendar event, like Google Meet.
+async function createMeeting(db, speakerEmail) {
+  const speakerResult = await db.query('SELECT meeting_provider, meeting_link FROM users_js WHERE email = $1', [speakerEmail]);
+  const speaker = speakerResult.rows[0] || {};
+  const provider = getProvider(speaker.meeting_provider || DEFAULT_PROVIDER);
+
+  const url = provider.createMeeting(speaker);
+  if (!url && !provider.getConferenceData) {
+    // A static provider without a link
+    return createFallbackMeeting();
+  }
+  return { provider: provider.name, url };
+}
+
+function createFallbackMeeting() {
+  return { provider: FALLBACK_PROVIDER, url: getProvider(FALLBACK_PROVIDER).createMeeting({}) };
+}
+
+// Gives bookings that were just confirmed their meeting, one shared by all sessions of a series.
+// Returns the updated bookings in the same order.
+async function assignMeeting(client, bookings) {
+  const meeting = await createMeeting(client, bookings[0].speaker_email);
+  const updateResult = await client.query(
+    'UPDATE bookings SET meeting_provider = $1, meeting_url = $2 WHERE id = ANY($3) RETURNING *',
+    [meeting.provider, meeting.url, bookings.map((booking) => booking.id)]
+  );
+  const updated = new Map(updateResult.rows.map((booking) => [booking.id, booking]));
+  return bookings.map((booking) => updated.get(booking.id));
+}
+
+// Whether a booking is waiting for its calendar event to create its meeting link
+function isWaitingForMeeting(booking) {
+  return Boolean(booking.meeting_provider && !booking.meeting_url);
+}
+
+// conferenceData asking the calendar to create the meeting of a booking that waits for it, or null
+function getConferenceData(booking) {
+  if (!isWaitingForMeeting(booking)) {
+    return null;
+  }
+  const provider = getProvider(booking.meeting_provider);
+  return provider.getConferenceData ? provider.getConferenceData() : null;
+}
+
+// Stores the link created with the calendar event of bookings that waited for it, or a room of the
+// fallback provider when no event or link could be created. Returns the updated bookings.
+async function completeMeeting(client, bookings, meetingUrl) {
+  const meeting = meetingUrl ? { provider: bookings[0].meeting_provider, url: meetingUrl } : createFallbackMeeting();
+  const updateResult = await client.query(
+    'UPDATE bookings SET meeting_provider = $1, meeting_url = $2 WHERE id = ANY($3) AND meeting_url IS NULL RETURNING *',
+    [meeting.provider, meeting.url, bookings.map((booking) => booking.id)]
+  );
+  return updateResult.rows.sort((a, b) => new Date(a.session_date) - new Date(b.session_date));
+}
+
+// Meeting settings of a speaker, shown only to the speaker themselves
+function serializeMeetingSettings(speaker) {
+  return {
+    meeting_provider: speaker.meeting_provider || DEFAULT_PROVIDER,
+    meeting_link: speaker.meeting_link || null,
+  };
+}
+
+module.exports = {
+  assignMeeting,
+  isWaitingForMeeting,
+  getConferenceData,
+  completeMeeting,
+  serializeMeetingSettings,
+};
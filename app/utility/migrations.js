@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pool = require('./db');
+
+// Versioned schema changes, each a pair of files: 001_base-tables.up.sql and 001_base-tables.down.sql
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9-]+)\.(up|down)\.sql$/;
+
+// Key of the advisory lock that keeps two deploys from migrating the same database at once
+const LOCK_KEY = 4815162342;
+
+function getChecksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+// All migrations on disk, oldest first: [{ version, name, up, down, checksum }]
+function loadMigrations() {
+  const migrations = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+
+    const version = Number(match[1]);
+    const migration = migrations.get(version) || { version, name: match[2] };
+    if (migration.name !== match[2]) {
+      throw new Error(`Migration ${match[1]} has two names: ${migration.name} and ${match[2]}`);
+    }
+    migration[match[3]] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (migration.up === undefined || migration.down === undefined) {
+        throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down script`);
+      }
+      return { ...migration, checksum: getChecksum(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+// Runs fn with a client holding the migration lock, after making sure schema_migrations exists
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      await client.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+           version INTEGER PRIMARY KEY,
+           name VARCHAR(255) NOT NULL,
+           checksum TEXT NOT NULL,
+           applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+         )`
+      );
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function getAppliedMigrations(client) {
+  const appliedResult = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+  return new Map(appliedResult.rows.map((row) => [row.version, row]));
+}
+
+// Runs a migration script and records the change in one transaction, so a failed script leaves nothing behind
+async function runScript(client, sql, record) {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Applies the pending migrations in order, up to and including toVersion if given. Returns the applied ones.
+async function migrateUp(toVersion = Infinity) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const pending = migrations.filter((migration) => !applied.has(migration.version) && migration.version <= toVersion);
+
+    for (const migration of pending) {
+      try {
+        await runScript(client, migration.up, () => client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        ));
+      } catch (error) {
+        error.message = `Migration ${migration.version}_${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+    }
+    return pending;
+  });
+}
+
+// Reverts the count most recently applied migrations, newest first. Returns the reverted ones.
+async function migrateDown(count = 1) {
+  const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+  return withMigrationLock(async (client) => {
+    const applied = [...(await getAppliedMigrations(client)).values()].reverse().slice(0, count);
+
+    const reverted = [];
+    for (const row of applied) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version}_${row.name} is applied but its files are missing`);
+      }
+      try {
+        await runScript(client, migration.down, () => client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]));
+      } catch (error) {
+        error.message = `Reverting migration ${migration.version}_${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+      reverted.push(migration);
+    }
+    return reverted;
+  });
+}
+
+// Records the migrations up to toVersion as applied without running them, for a database whose
+// schema is already there, e.g. one set up by running the scripts by hand. Returns the recorded ones.
+async function baseline(toVersion) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const recorded = migrations.filter((migration) => !applied.has(migration.version) && migration.version <= toVersion);
+    for (const migration of recorded) {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    }
+    return recorded;
+  });
+}
+
+// Every migration on disk or in the database: [{ version, name, applied_at, changed, missing }].
+// changed marks applied migrations whose up script was edited since, missing those without files.
+async function getStatus() {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const status = migrations.map((migration) => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied_at: row ? row.applied_at : null,
+        changed: Boolean(row && row.checksum !== migration.checksum),
+        missing: false,
+      };
+    });
+    for (const row of applied.values()) {
+      if (!migrations.some((migration) => migration.version === row.version)) {
+        status.push({ version: row.version, name: row.name, applied_at: row.applied_at, changed: false, missing: true });
+      }
+    }
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+// Writes empty up and down scripts for a new migration with the next version. Returns their paths.
+function createMigration(name) {
+  const slug = String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!slug) {
+    throw new Error('A migration name is required');
+  }
+
+  const migrations = loadMigrations();
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const prefix = `${String(version).padStart(3, '0')}_${slug}`;
+  const files = ['up', 'down'].map((direction) => path.join(MIGRATIONS_DIR, `${prefix}.${direction}.sql`));
+  for (const file of files) {
+    fs.writeFileSync(file, '');
+  }
+  return files;
+}
+
+module.exports = {
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  baseline,
+  getStatus,
+  createMigration,
+};
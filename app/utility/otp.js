@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('./db');
+const { withTransaction } = require('./transaction');
+require('dotenv').config();
+
+// Flows a code can be issued for. A code only verifies for the flow it was issued for.
+const OTP_PURPOSES = ['registration', 'login', 'password_reset'];
+
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+// Resend throttling: a pause between codes for one email, and hourly caps per email and per IP
+const OTP_RESEND_SECONDS = Number(process.env.OTP_RESEND_SECONDS) || 60;
+const OTP_HOURLY_LIMIT_PER_EMAIL = Number(process.env.OTP_HOURLY_LIMIT_PER_EMAIL) || 5;
+const OTP_HOURLY_LIMIT_PER_IP = Number(process.env.OTP_HOURLY_LIMIT_PER_IP) || 20;
+
+function hashOtp(otp) {
+  return crypto.createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET).update(String(otp)).digest('hex');
+}
+
+function matchesHash(otp, hash) {
+  const candidate = Buffer.from(hashOtp(otp), 'hex');
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// Returns { status, error, retryAfter } if the email or IP asked for too many codes, otherwise null
+async function checkThrottle(email, ip) {
+  const emailResult = await pool.query(
+    `SELECT COUNT(*) AS sent, MAX(created_at) AS last_sent_at FROM otps
+     WHERE email = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [email]
+  );
+  const { sent, last_sent_at } = emailResult.rows[0];
+
+  if (last_sent_at) {
+    const waitSeconds = Math.ceil(OTP_RESEND_SECONDS - (Date.now() - new Date(last_sent_at).getTime()) / 1000);
+    if (waitSeconds > 0) {
+      return { status: 429, error: `Please wait ${waitSeconds} seconds before requesting another OTP`, retryAfter: waitSeconds };
+    }
+  }
+  if (Number(sent) >= OTP_HOURLY_LIMIT_PER_EMAIL) {
+    return { status: 429, error: 'Too many OTP requests for this email. Try again later.', retryAfter: 60 * 60 };
+  }
+
+  if (ip) {
+    const ipResult = await pool.query(
+      "SELECT COUNT(*) AS sent FROM otps WHERE requester_ip = $1 AND created_at > NOW() - INTERVAL '1 hour'",
+      [ip]
+    );
+    if (Number(ipResult.rows[0].sent) >= OTP_HOURLY_LIMIT_PER_IP) {
+      return { status: 429, error: 'Too many OTP requests. Try again later.', retryAfter: 60 * 60 };
+    }
+  }
+  return null;
+}
+
+// Creates a code for the email and flow, replacing earlier unused ones.
+// Returns { otp, expiresInMinutes }, or { status, error, retryAfter } when throttled.
+async function issueOtp(email, purpose, ip) {
+  const throttled = await checkThrottle(email, ip);
+  if (throttled) {
+    return throttled;
+  }
+
+  const otp = crypto.randomInt(100000, 1000000).toString();
+
+  await withTransaction(async (client) => {
+    // Rows are kept for a day so the hourly limits can count them
+    await client.query("DELETE FROM otps WHERE created_at < NOW() - INTERVAL '1 day'");
+    await client.query(
+      'UPDATE otps SET consumed_at = NOW() WHERE email = $1 AND purpose = $2 AND consumed_at IS NULL',
+      [email, purpose]
+    );
+    await client.query(
+      `INSERT INTO otps (email, purpose, otp_hash, requester_ip, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + $5 * INTERVAL '1 minute')`,
+      [email, purpose, hashOtp(otp), ip, OTP_TTL_MINUTES]
+    );
+  });
+
+  return { otp, expiresInMinutes: OTP_TTL_MINUTES };
+}
+
+// Checks a code and uses it up when it matches.
+// Returns { valid: true }, or { status, error } when the code is wrong, expired or locked.
+async function verifyOtp(email, purpose, otp) {
+  return withTransaction(async (client) => {
+    const otpResult = await client.query(
+      `SELECT * FROM otps WHERE email = $1 AND purpose = $2 AND consumed_at IS NULL
+       ORDER BY created_at DESC LIMIT 1 FOR UPDATE`,
+      [email, purpose]
+    );
+    const record = otpResult.rows[0];
+
+    if (!record || !otp) {
+      return { status: 400, error: 'Invalid OTP' };
+    }
+    if (new Date(record.expires_at) <= new Date()) {
+      return { status: 400, error: 'OTP expired. Request a new one.' };
+    }
+    if (record.attempts >= OTP_MAX_ATTEMPTS) {
+      return { status: 429, error: 'Too many incorrect attempts. Request a new OTP.' };
+    }
+
+    if (!matchesHash(otp, record.otp_hash)) {
+      await client.query('UPDATE otps SET attempts = attempts + 1 WHERE id = $1', [record.id]);
+      const attemptsLeft = OTP_MAX_ATTEMPTS - record.attempts - 1;
+      return {
+        status: attemptsLeft > 0 ? 400 : 429,
+        error: attemptsLeft > 0 ? `Invalid OTP. ${attemptsLeft} attempts left.` : 'Too many incorrect attempts. Request a new OTP.',
+      };
+    }
+
+    await client.query('UPDATE otps SET consumed_at = NOW() WHERE id = $1', [record.id]);
+    return { valid: true };
+  });
+}
+
+// Verification tokens are signed with a key of their own, so they are never accepted as login tokens
+function getVerificationKey() {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('otp-verification').digest('hex');
+}
+
+// Short-lived proof that the email passed a check of the flow, e.g. an OTP, or the password before the 2FA step.
+// The next step of the flow exchanges it with consumeVerificationToken, after which it no longer works.
+function createVerificationToken(email, purpose) {
+  return jwt.sign({ email, purpose }, getVerificationKey(), { expiresIn: '15m', jwtid: crypto.randomUUID() });
+}
+
+// Returns the email a verification token was issued to, or null if it is invalid, expired or for another flow
+function readVerificationToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, getVerificationKey());
+    return decoded.purpose === purpose ? decoded.email : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Uses up a valid verification token. Returns false if it is invalid or was used before.
+async function consumeVerificationToken(token, db = pool) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getVerificationKey());
+  } catch (error) {
+    return false;
+  }
+  if (!decoded.jti) {
+    return false;
+  }
+
+  await db.query('DELETE FROM used_verification_tokens WHERE expires_at < NOW()');
+  const usedResult = await db.query(
+    `INSERT INTO used_verification_tokens (jti, expires_at) VALUES ($1, to_timestamp($2))
+     ON CONFLICT (jti) DO NOTHING RETURNING jti`,
+    [decoded.jti, decoded.exp]
+  );
+  return usedResult.rows.length > 0;
+}
+
+module.exports = {
+  OTP_PURPOSES,
+  OTP_TTL_MINUTES,
+  issueOtp,
+  verifyOtp,
+  createVerificationToken,
+  readVerificationToken,
+  consumeVerificationToken,
+};
@@ -0,0 +1,261 @@
+const pool = require('./db');
+const { withTransaction } = require('./transaction');
+const { sendEmail } = require('../notifications');
+const { buildBookingEmails } = require('../notifications/booking-emails');
+const { getTimeZones } = require('./accounts');
+const {
+  createBookingEvent,
+  moveBookingEvent,
+  deleteBookingEvent,
+  createSeriesEvent,
+  updateSeriesEvent,
+  deleteSeriesEvent,
+} = require('./calendar');
+const { isInSeriesEvent, getSeriesRecurrence, getSeriesEvent } = require('./series');
+const { isWaitingForMeeting, completeMeeting } = require('./meetings');
+const { getProvider } = require('../payments');
+require('dotenv').config();
+
+const POLL_SECONDS = Number(process.env.OUTBOX_POLL_SECONDS) || 10;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+const BATCH_SIZE = 10;
+
+// A claimed message is retried by another worker if it is not settled within this time
+const LEASE_SECONDS = 120;
+
+// Records a side effect to deliver once the surrounding transaction commits
+async function enqueue(client, kind, payload) {
+  await client.query('INSERT INTO outbox (kind, payload) VALUES ($1, $2)', [kind, payload]);
+}
+
+async function findBooking(id) {
+  const bookingResult = await pool.query('SELECT * FROM bookings WHERE id = $1', [id]);
+  return bookingResult.rows[0];
+}
+
+async function clearBookingEvent(booking) {
+  await pool.query('UPDATE bookings SET calendar_event_id = NULL, calendar_event_link = NULL, calendar_owner = NULL WHERE id = $1', [booking.id]);
+}
+
+async function clearSeriesEvent(series) {
+  await pool.query('UPDATE booking_series SET calendar_event_id = NULL, calendar_event_link = NULL, calendar_owner = NULL WHERE id = $1', [series.id]);
+}
+
+// Stores the link of meetings created with a calendar event, e.g. a Google Meet, and queues an email
+// with it to both parties. Sessions of a series share the link of the recurring event.
+async function saveMeetingLink(client, bookings, meetingUrl, series = null) {
+  const updated = await completeMeeting(client, bookings, meetingUrl);
+  if (updated.length === 0) return;
+
+  const messages = series
+    ? await buildBookingEmails(client, 'meeting-link', getSeriesEvent(series, updated), {
+      bookings: updated,
+      recurrence: getSeriesRecurrence(series, updated),
+    })
+    : await buildBookingEmails(client, 'meeting-link', updated[0]);
+  for (const message of messages) {
+    await enqueue(client, 'email', message);
+  }
+}
+
+async function getSpeakerTimeZone(booking) {
+  const timeZones = await getTimeZones([booking.speaker_email]);
+  return timeZones.get(booking.speaker_email);
+}
+
+// Calendar handlers read the booking when they run, so they always sync its latest state.
+// Sessions of a series are part of the series' recurring event and only get an event of their own
+// once they are rescheduled. Speakers without a calendar get no events, and events on a calendar
+// that was disconnected since are forgotten. Bookings waiting for a meeting to be created with
+// their event get a fallback room when there is no event.
+const handlers = {
+  email: (payload) => sendEmail(payload),
+
+  'calendar.create': async ({ booking_id }) => {
+    const booking = await findBooking(booking_id);
+    if (!booking || booking.cancelled_at || booking.calendar_event_id || isInSeriesEvent(booking)) return;
+
+    const event = await createBookingEvent(booking, await getSpeakerTimeZone(booking));
+    await withTransaction(async (client) => {
+      if (event) {
+        await client.query(
+          'UPDATE bookings SET calendar_event_id = $1, calendar_event_link = $2, calendar_owner = $3 WHERE id = $4',
+          [event.id, event.htmlLink, event.owner, booking.id]
+        );
+      }
+      if (isWaitingForMeeting(booking)) {
+        await saveMeetingLink(client, [booking], event && event.meetingUrl);
+      }
+    });
+  },
+
+  'calendar.update': async ({ booking_id }) => {
+    const booking = await findBooking(booking_id);
+    // Without an event yet, calendar.create will use the new times
+    if (!booking || booking.cancelled_at || !booking.calendar_event_id) return;
+
+    // Moved back to its slot in the series, the recurring event shows it again
+    if (isInSeriesEvent(booking)) {
+      await deleteBookingEvent(booking);
+      await clearBookingEvent(booking);
+      return;
+    }
+
+    if (!(await moveBookingEvent(booking, await getSpeakerTimeZone(booking)))) {
+      await clearBookingEvent(booking);
+    }
+  },
+
+  'calendar.delete': async ({ booking_id }) => {
+    const booking = await findBooking(booking_id);
+    if (!booking || !booking.calendar_event_id) return;
+
+    await deleteBookingEvent(booking);
+  },
+
+  // Brings the recurring event of a series in line with its sessions that are still on
+  'calendar.series.sync': async ({ series_id }) => {
+    const seriesResult = await pool.query('SELECT * FROM booking_series WHERE id = $1', [series_id]);
+    const series = seriesResult.rows[0];
+    if (!series) return;
+
+    const bookingsResult = await pool.query(
+      "SELECT * FROM bookings WHERE series_id = $1 AND status = 'confirmed' ORDER BY series_occurrence",
+      [series_id]
+    );
+    const bookings = bookingsResult.rows;
+    const active = bookings.filter((booking) => !booking.cancelled_at && isInSeriesEvent(booking));
+
+    if (!series.calendar_event_id) {
+      if (active.length === 0) return;
+      const timeZone = await getSpeakerTimeZone(series);
+      const event = await createSeriesEvent(getSeriesEvent(series, bookings), getSeriesRecurrence(series, bookings), timeZone);
+      await withTransaction(async (client) => {
+        if (event) {
+          await client.query(
+            'UPDATE booking_series SET calendar_event_id = $1, calendar_event_link = $2, calendar_owner = $3 WHERE id = $4',
+            [event.id, event.htmlLink, event.owner, series.id]
+          );
+        }
+        const waiting = bookings.filter((booking) => !booking.cancelled_at && isWaitingForMeeting(booking));
+        if (waiting.length > 0) {
+          await saveMeetingLink(client, waiting, event && event.meetingUrl, series);
+        }
+      });
+    } else if (active.length === 0) {
+      await deleteSeriesEvent(series);
+      await clearSeriesEvent(series);
+    } else if (!(await updateSeriesEvent(series, getSeriesRecurrence(series, bookings)))) {
+      await clearSeriesEvent(series);
+    }
+  },
+
+  'payment.refund': async ({ refund_id }) => {
+    const refundResult = await pool.query(
+      `SELECT r.*, p.provider_payment_id, p.currency FROM refunds r JOIN payments p ON p.id = r.payment_id
+       WHERE r.id = $1 AND r.status = 'pending'`,
+      [refund_id]
+    );
+    const refund = refundResult.rows[0];
+    if (!refund) return;
+
+    // A retry after the provider call went through but the update below failed reuses the key,
+    // so the provider answers with the first refund instead of paying out again
+    const { providerRefundId } = await getProvider().refund({
+      providerPaymentId: refund.provider_payment_id,
+      amount: Number(refund.amount),
+      currency: refund.currency,
+      idempotencyKey: `refund-${refund.id}`,
+    });
+    await pool.query(
+      "UPDATE refunds SET status = 'refunded', provider_refund_id = $1, refunded_at = NOW() WHERE id = $2",
+      [providerRefundId, refund.id]
+    );
+  },
+};
+
+// Seconds to wait before the next attempt: 30s, 1m, 2m, ... up to an hour
+function getBackoffSeconds(attempts) {
+  return Math.min(30 * 2 ** (attempts - 1), 60 * 60);
+}
+
+async function deliver(message) {
+  try {
+    const handler = handlers[message.kind];
+    if (!handler) {
+      throw new Error(`Unknown outbox message kind ${message.kind}`);
+    }
+    await handler(message.payload);
+
+    await pool.query(
+      "UPDATE outbox SET status = 'delivered', delivered_at = NOW(), locked_until = NULL, last_error = NULL WHERE id = $1",
+      [message.id]
+    );
+  } catch (error) {
+    console.error(`Failed to deliver outbox message ${message.id} (${message.kind})`, error);
+
+    const status = message.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    await pool.query(
+      `UPDATE outbox SET status = $2, next_attempt_at = NOW() + $3 * INTERVAL '1 second', locked_until = NULL, last_error = $4
+       WHERE id = $1`,
+      [message.id, status, getBackoffSeconds(message.attempts), error.message || String(error)]
+    );
+  }
+}
+
+// Claims due messages and delivers them. SKIP LOCKED lets several app instances share the table.
+async function processOutbox() {
+  const claimResult = await pool.query(
+    `UPDATE outbox SET attempts = attempts + 1, locked_until = NOW() + $2 * INTERVAL '1 second'
+     WHERE id IN (
+       SELECT id FROM outbox
+       WHERE status = 'pending' AND next_attempt_at <= NOW() AND (locked_until IS NULL OR locked_until < NOW())
+       ORDER BY id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [BATCH_SIZE, LEASE_SECONDS]
+  );
+
+  const messages = claimResult.rows.sort((a, b) => a.id - b.id);
+  for (const message of messages) {
+    await deliver(message);
+  }
+  return messages.length;
+}
+
+// Polls the outbox in the background of the server process
+function startOutboxWorker() {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      // Keep going while full batches come back
+      while ((await processOutbox()) === BATCH_SIZE);
+    } catch (error) {
+      console.error('Outbox worker failed', error);
+    } finally {
+      running = false;
+    }
+  }, POLL_SECONDS * 1000);
+}
+
+// Queues a failed message for delivery again, with a fresh set of attempts
+async function replay(id) {
+  const replayResult = await pool.query(
+    `UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_until = NULL
+     WHERE id = $1 AND status = 'failed'`,
+    [id]
+  );
+  return replayResult.rowCount > 0;
+}
+
+module.exports = {
+  enqueue,
+  processOutbox,
+  startOutboxWorker,
+  replay,
+};
@@ -0,0 +1,10 @@
+// Page and limit query parameters, at most 100 rows a page
+function getPagination(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+module.exports = {
+  getPagination,
+};
@@ -0,0 +1,8 @@
+// Whether a route or query parameter is a row id. Anything else would fail as an integer SQL parameter.
+function isValidId(value) {
+  return typeof value === 'string' && /^\d{1,10}$/.test(value) && Number(value) > 0 && Number(value) <= 2147483647;
+}
+
+module.exports = {
+  isValidId,
+};
@@ -0,0 +1,152 @@
+const { enqueue } = require('./outbox');
+const { getTimeZones } = require('./accounts');
+const { formatReadable } = require('./datetime');
+const { getReceipt } = require('./receipts');
+const { getProvider } = require('../payments');
+const { renderTemplate } = require('../notifications/templates');
+require('dotenv').config();
+
+// Minutes a paid booking keeps its slot while the user pays
+const PAYMENT_HOLD_MINUTES = Number(process.env.PAYMENT_HOLD_MINUTES) || 15;
+
+// Users who cancel at least REFUND_FULL_HOURS before the session get everything back, later
+// cancellations get REFUND_LATE_PERCENT back and sessions that already started nothing.
+// Cancellations by the speaker or an admin are always refunded in full.
+const REFUND_FULL_HOURS = Number(process.env.REFUND_FULL_HOURS) || 24;
+const REFUND_LATE_PERCENT = process.env.REFUND_LATE_PERCENT !== undefined ? Number(process.env.REFUND_LATE_PERCENT) : 50;
+
+// Price and currency of a session, from its session type or the speaker's profile price
+async function getSessionPrice(db, speakerEmail, sessionTypeId) {
+  const priceResult = await db.query(
+    `SELECT COALESCE(t.price, s.price_per_session) AS price, s.currency
+     FROM users_js s
+     LEFT JOIN session_types t ON t.id = $2
+     WHERE s.email = $1`,
+    [speakerEmail, sessionTypeId]
+  );
+  const row = priceResult.rows[0] || {};
+  return { amount: Number(row.price) || 0, currency: row.currency || 'INR' };
+}
+
+function getPaymentDeadline() {
+  return new Date(Date.now() + PAYMENT_HOLD_MINUTES * 60 * 1000);
+}
+
+// Records a payment for a pending booking, or with seriesId for all sessions of a series, and starts
+// it with the provider. Returns the payment row, with the checkout_url the user pays at.
+async function startPayment(client, booking, { amount, currency, seriesId = null }) {
+  const provider = getProvider();
+  const insertResult = await client.query(
+    'INSERT INTO payments (booking_id, series_id, provider, amount, currency) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+    [seriesId ? null : booking.id, seriesId, provider.name, amount, currency]
+  );
+  const paymentId = insertResult.rows[0].id;
+
+  const { providerPaymentId, checkoutUrl } = await provider.createPayment({
+    paymentId,
+    amount,
+    currency,
+    description: `${seriesId ? 'Recurring sessions' : 'Session'} with ${booking.speaker_email}`,
+    email: booking.user_email,
+  });
+  const paymentResult = await client.query(
+    'UPDATE payments SET provider_payment_id = $1, checkout_url = $2 WHERE id = $3 RETURNING *',
+    [providerPaymentId, checkoutUrl, paymentId]
+  );
+  return paymentResult.rows[0];
+}
+
+// Unpaid bookings past their deadline give up their slot, before the speaker's bookings change
+async function expireUnpaidBookings(client, speakerEmail) {
+  await client.query(
+    `WITH expired AS (
+       UPDATE bookings SET cancelled_at = NOW(), cancelled_by = 'payment-timeout'
+       WHERE speaker_email = $1 AND status = 'pending_payment' AND cancelled_at IS NULL AND hold_expires_at <= NOW()
+       RETURNING id
+     )
+     UPDATE payments SET status = 'expired'
+     WHERE status = 'pending' AND (booking_id IN (SELECT id FROM expired) OR series_id IN (SELECT series_id FROM expired))`,
+    [speakerEmail]
+  );
+}
+
+// Amount given back when a booking that cost amount is cancelled, following the refund rules above
+function getRefundAmount(amount, booking, cancelledBy) {
+  if (cancelledBy !== booking.user_email) {
+    return amount;
+  }
+
+  const hoursLeft = (new Date(booking.session_date) - Date.now()) / (60 * 60 * 1000);
+  if (hoursLeft >= REFUND_FULL_HOURS) {
+    return amount;
+  }
+  if (hoursLeft > 0) {
+    return Math.round(amount * REFUND_LATE_PERCENT) / 100;
+  }
+  return 0;
+}
+
+// Records a refund of part or all of a payment and queues the provider call. Returns { amount, currency }.
+async function queueRefund(client, payment, amount, bookingId = null) {
+  const refundResult = await client.query(
+    'INSERT INTO refunds (payment_id, booking_id, amount) VALUES ($1, $2, $3) RETURNING id',
+    [payment.id, bookingId, amount]
+  );
+  await enqueue(client, 'payment.refund', { refund_id: refundResult.rows[0].id });
+  return { amount, currency: payment.currency };
+}
+
+// Amount paid for one booking. A series payment is shared equally by the sessions it paid for.
+async function getBookingAmount(client, payment) {
+  if (!payment.series_id) {
+    return Number(payment.amount);
+  }
+  const countResult = await client.query(
+    "SELECT COUNT(*) FROM bookings WHERE series_id = $1 AND status = 'confirmed'",
+    [payment.series_id]
+  );
+  return Math.round((Number(payment.amount) / Number(countResult.rows[0].count)) * 100) / 100;
+}
+
+// Refunds the payment of a cancelled booking, if it was paid. Returns the refund or null.
+async function refundCancelledBooking(client, booking, cancelledBy) {
+  const paymentResult = await client.query(
+    "SELECT * FROM payments WHERE (booking_id = $1 OR series_id = $2) AND status = 'succeeded' FOR UPDATE",
+    [booking.id, booking.series_id]
+  );
+  const payment = paymentResult.rows[0];
+  if (!payment) {
+    return null;
+  }
+
+  const amount = getRefundAmount(await getBookingAmount(client, payment), booking, cancelledBy);
+  if (amount <= 0) {
+    return null;
+  }
+  return queueRefund(client, payment, amount, booking.id);
+}
+
+// Queues the receipt email of a payment to the user who paid, with times in their time zone
+async function enqueueReceipt(client, payment) {
+  const receipt = await getReceipt(client, payment);
+  const timeZone = (await getTimeZones([receipt.paid_by])).get(receipt.paid_by);
+
+  const content = renderTemplate('payment-receipt', {
+    ...receipt,
+    local_time: formatReadable(new Date(receipt.session_date), timeZone),
+    paid_local_time: formatReadable(new Date(receipt.paid_at), timeZone),
+  });
+  await enqueue(client, 'email', { to: receipt.paid_by, ...content });
+}
+
+module.exports = {
+  PAYMENT_HOLD_MINUTES,
+  getSessionPrice,
+  getPaymentDeadline,
+  startPayment,
+  expireUnpaidBookings,
+  getRefundAmount,
+  queueRefund,
+  refundCancelledBooking,
+  enqueueReceipt,
+};
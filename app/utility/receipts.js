@@ -0,0 +1,48 @@
+const { formatDate } = require('./datetime');
+
+// Receipt numbers count up per payment, e.g. RCPT-2023-000042
+function createReceiptNumber(payment, paidAt) {
+  return `RCPT-${paidAt.getUTCFullYear()}-${String(payment.id).padStart(6, '0')}`;
+}
+
+// Receipt of a paid booking or series, as returned by GET /booking/{id}/receipt and emailed after payment
+async function getReceipt(db, payment) {
+  const bookingsResult = await db.query(
+    `SELECT b.*, COALESCE(s.display_name, s.email) AS speaker_name, t.name AS session_type
+     FROM bookings b
+     JOIN users_js s ON s.email = b.speaker_email
+     LEFT JOIN session_types t ON t.id = b.session_type_id
+     WHERE b.id = $1 OR b.series_id = $2
+     ORDER BY b.session_date`,
+    [payment.booking_id, payment.series_id]
+  );
+  const booking = bookingsResult.rows[0];
+
+  const refundsResult = await db.query(
+    "SELECT COALESCE(SUM(amount), 0) AS amount, MAX(refunded_at) AS refunded_at FROM refunds WHERE payment_id = $1 AND status = 'refunded'",
+    [payment.id]
+  );
+  const refunds = refundsResult.rows[0];
+
+  return {
+    receipt_number: payment.receipt_number,
+    booking_id: payment.booking_id,
+    series_id: payment.series_id,
+    sessions: bookingsResult.rows.length,
+    paid_by: booking.user_email,
+    speaker_email: booking.speaker_email,
+    speaker_name: booking.speaker_name,
+    session_type: booking.session_type || 'Session',
+    session_date: formatDate(new Date(booking.session_date)),
+    amount: Number(payment.amount),
+    currency: payment.currency,
+    paid_at: formatDate(new Date(payment.paid_at)),
+    refund_amount: Number(refunds.amount) > 0 ? Number(refunds.amount) : null,
+    refunded_at: refunds.refunded_at ? formatDate(new Date(refunds.refunded_at)) : null,
+  };
+}
+
+module.exports = {
+  createReceiptNumber,
+  getReceipt,
+};
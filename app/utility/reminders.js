@@ -0,0 +1,94 @@
+const { withTransaction } = require('./transaction');
+const { enqueue } = require('./outbox');
+const { buildBookingEmails } = require('../notifications/booking-emails');
+require('dotenv').config();
+
+const POLL_SECONDS = Number(process.env.REMINDER_POLL_SECONDS) || 60;
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+// Reads offsets such as "24h,1h" or "2d,30m" into minutes, largest first
+function parseOffsets(value) {
+  const offsets = value.split(',').map((offset) => {
+    const match = offset.trim().match(/^(\d+)\s*([mhd])$/i);
+    if (!match || Number(match[1]) === 0) {
+      throw new Error(`Invalid reminder offset "${offset}". Use minutes, hours or days, e.g. 30m, 1h or 2d.`);
+    }
+    return Number(match[1]) * UNIT_MINUTES[match[2].toLowerCase()];
+  });
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+// How long before a session reminders are sent, from REMINDER_OFFSETS
+const REMINDER_OFFSETS = parseOffsets(process.env.REMINDER_OFFSETS || '24h,1h');
+
+// e.g. "1 hour", "24 hours", "45 minutes"
+function describeMinutes(minutes) {
+  if (minutes >= 60) {
+    const hours = Math.round(minutes / 60);
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+  }
+  return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+}
+
+// Claims the bookings that are due a reminder at one offset and queues their emails.
+// A session only gets the reminder of the window it starts in: one booked two hours ahead
+// is reminded at 1h, not also at 24h.
+async function sendRemindersAt(offsetMinutes, nextOffsetMinutes) {
+  return withTransaction(async (client) => {
+    const claimResult = await client.query(
+      `WITH claimed AS (
+         INSERT INTO booking_reminders (booking_id, offset_minutes)
+         SELECT id, $1 FROM bookings
+         WHERE status = 'confirmed' AND cancelled_at IS NULL
+           AND session_date <= NOW() + $1 * INTERVAL '1 minute'
+           AND session_date > NOW() + $2 * INTERVAL '1 minute'
+         ON CONFLICT DO NOTHING
+         RETURNING booking_id
+       )
+       SELECT b.* FROM bookings b JOIN claimed c ON c.booking_id = b.id`,
+      [offsetMinutes, nextOffsetMinutes]
+    );
+
+    for (const booking of claimResult.rows) {
+      const minutesLeft = Math.max(Math.round((new Date(booking.session_date) - Date.now()) / 60000), 1);
+      const messages = await buildBookingEmails(client, 'session-reminder', booking, { starts_in: describeMinutes(minutesLeft) });
+      for (const message of messages) {
+        await enqueue(client, 'email', message);
+      }
+    }
+    return claimResult.rows.length;
+  });
+}
+
+// Queues the reminders that are due at every configured offset
+async function sendDueReminders() {
+  let sent = 0;
+  for (let i = 0; i < REMINDER_OFFSETS.length; i++) {
+    sent += await sendRemindersAt(REMINDER_OFFSETS[i], REMINDER_OFFSETS[i + 1] || 0);
+  }
+  return sent;
+}
+
+// Checks for due reminders in the background of the server process
+function startReminderScheduler() {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sendDueReminders();
+    } catch (error) {
+      console.error('Reminder scheduler failed', error);
+    } finally {
+      running = false;
+    }
+  }, POLL_SECONDS * 1000);
+}
+
+module.exports = {
+  REMINDER_OFFSETS,
+  sendDueReminders,
+  startReminderScheduler,
+};
@@ -0,0 +1,37 @@
+const pool = require('./db');
+const { formatDate } = require('./datetime');
+
+const MAX_REVIEW_LENGTH = 2000;
+
+// Average rating, to one decimal, and number of reviews of each speaker, keyed by email
+async function getRatings(emails) {
+  const ratingsResult = await pool.query(
+    `SELECT speaker_email, ROUND(AVG(rating), 1) AS average_rating, COUNT(*) AS review_count
+     FROM reviews WHERE speaker_email = ANY($1) GROUP BY speaker_email`,
+    [emails]
+  );
+  const ratings = new Map(emails.map((email) => [email, { average_rating: null, review_count: 0 }]));
+  for (const row of ratingsResult.rows) {
+    ratings.set(row.speaker_email, { average_rating: Number(row.average_rating), review_count: Number(row.review_count) });
+  }
+  return ratings;
+}
+
+// Shape of a review in API responses. Reviewers stay anonymous.
+function serializeReview(review) {
+  return {
+    id: review.id,
+    booking_id: review.booking_id,
+    rating: review.rating,
+    review: review.review,
+    created_at: formatDate(review.created_at),
+    reply: review.reply,
+    replied_at: review.replied_at ? formatDate(review.replied_at) : null,
+  };
+}
+
+module.exports = {
+  MAX_REVIEW_LENGTH,
+  getRatings,
+  serializeReview,
+};
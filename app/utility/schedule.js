@@ -0,0 +1,177 @@
+const pool = require('./db');
+const { DEFAULT_TIME_ZONE, getZonedParts, zonedTimeToUtc } = require('./datetime');
+const { getSessionTypes, getSessionEnd, getBlockedUntil } = require('./session-types');
+
+// Weekday names in the order used by Date.getDay()
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Working hours of speakers who have not set up a schedule: 9 a.m. to 5 p.m. every day, in the speaker's time zone
+const DEFAULT_HOURS = { start_hour: 9, end_hour: 17 };
+
+// Minutes between possible session start times of speakers who have not set a slot length
+const DEFAULT_SLOT_LENGTH = 60;
+
+// Loads the time zone, weekly working hours, slot length, upcoming blackouts and busy times imported
+// from connected calendars of each speaker, keyed by email
+async function getSchedules(emails, since = new Date()) {
+  const schedules = new Map();
+  for (const email of emails) {
+    schedules.set(email, {
+      timeZone: DEFAULT_TIME_ZONE,
+      workingHours: WEEKDAYS.map(() => DEFAULT_HOURS),
+      slotLength: DEFAULT_SLOT_LENGTH,
+      blackouts: [],
+      busyTimes: [],
+    });
+  }
+
+  const speakersResult = await pool.query(
+    'SELECT email, time_zone, slot_length_minutes FROM users_js WHERE email = ANY($1)',
+    [emails]
+  );
+  for (const row of speakersResult.rows) {
+    const schedule = schedules.get(row.email);
+    schedule.timeZone = row.time_zone || DEFAULT_TIME_ZONE;
+    schedule.slotLength = row.slot_length_minutes || DEFAULT_SLOT_LENGTH;
+  }
+
+  const hoursResult = await pool.query(
+    'SELECT speaker_email, weekday, start_hour, end_hour FROM speaker_working_hours WHERE speaker_email = ANY($1)',
+    [emails]
+  );
+  for (const row of hoursResult.rows) {
+    // A weekday without hours is a day off
+    schedules.get(row.speaker_email).workingHours[row.weekday] =
+      row.start_hour === null ? null : { start_hour: row.start_hour, end_hour: row.end_hour };
+  }
+
+  const blackoutsResult = await pool.query(
+    'SELECT id, speaker_email, starts_at, ends_at, reason FROM speaker_blackouts WHERE speaker_email = ANY($1) AND ends_at > $2 ORDER BY starts_at',
+    [emails, since]
+  );
+  for (const row of blackoutsResult.rows) {
+    schedules.get(row.speaker_email).blackouts.push(row);
+  }
+
+  const busyResult = await pool.query(
+    'SELECT speaker_email, starts_at, ends_at FROM calendar_busy_times WHERE speaker_email = ANY($1) AND ends_at > $2 ORDER BY starts_at',
+    [emails, since]
+  );
+  for (const row of busyResult.rows) {
+    schedules.get(row.speaker_email).busyTimes.push(row);
+  }
+
+  return schedules;
+}
+
+async function getSchedule(email, since) {
+  const schedules = await getSchedules([email], since);
+  return schedules.get(email);
+}
+
+// Sessions of the given type that fit in the speaker's working hours on a calendar day and avoid blackouts
+// and busy times.
+// The day ({ year, month, day }) and the working hours are in the speaker's time zone.
+function getDaySlots(schedule, day, sessionType) {
+  const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+  const hours = schedule.workingHours[weekday];
+  if (!hours) {
+    return [];
+  }
+
+  const unavailable = [...schedule.blackouts, ...schedule.busyTimes];
+  const slots = [];
+  for (
+    let minutes = hours.start_hour * 60;
+    minutes + sessionType.duration_minutes <= hours.end_hour * 60;
+    minutes += schedule.slotLength
+  ) {
+    const start = zonedTimeToUtc({ year: day.year, month: day.month, day: day.day, minute: minutes }, schedule.timeZone);
+    const end = getSessionEnd(start, sessionType);
+
+    const isBlackedOut = unavailable.some(
+      (range) => new Date(range.starts_at) < end && new Date(range.ends_at) > start
+    );
+    if (!isBlackedOut) {
+      slots.push({ start, end });
+    }
+  }
+  return slots;
+}
+
+// Sessions of the given type starting in [from, to), walking the speaker's calendar days
+function getSlotsBetween(schedule, from, to, sessionType) {
+  const first = getZonedParts(from, schedule.timeZone);
+  const last = getZonedParts(to, schedule.timeZone);
+  const lastDay = Date.UTC(last.year, last.month - 1, last.day);
+
+  const slots = [];
+  for (let offset = 0; ; offset++) {
+    const date = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+    if (date.getTime() > lastDay) break;
+
+    const day = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    for (const slot of getDaySlots(schedule, day, sessionType)) {
+      if (slot.start >= from && slot.start < to) {
+        slots.push(slot);
+      }
+    }
+  }
+  return slots;
+}
+
+// Whether a session of the given type can start at the given instant according to the speaker's schedule
+function isBookable(schedule, date, sessionType) {
+  const day = getZonedParts(date, schedule.timeZone);
+  return getDaySlots(schedule, day, sessionType).some((slot) => slot.start.getTime() === date.getTime());
+}
+
+// Whether a session starting at the given date, including its buffer, overlaps one of the bookings
+function overlapsBookings(bookings, date, sessionType) {
+  const blockedUntil = getBlockedUntil(date, sessionType);
+  return bookings.some(
+    (booking) => new Date(booking.session_date) < blockedUntil && new Date(booking.blocked_until) > date
+  );
+}
+
+// Free session start times of each speaker in [from, to), keyed by email, as { sessionType, slots }.
+// duration picks the session type, by default each speaker's shortest. Speakers without a session
+// type of that duration are left out.
+async function getFreeSlots(emails, from, to, duration = null) {
+  // Bookings, live holds and unpaid bookings within their payment deadline overlapping the range
+  const bookingsResult = await pool.query(
+    `SELECT speaker_email, session_date, blocked_until FROM bookings
+     WHERE speaker_email = ANY($1) AND blocked_until > $2 AND session_date < $3
+       AND cancelled_at IS NULL AND (hold_expires_at IS NULL OR hold_expires_at > NOW())`,
+    [emails, from, to]
+  );
+  const schedules = await getSchedules(emails, from);
+  const sessionTypes = await getSessionTypes(emails);
+
+  const freeSlots = new Map();
+  for (const email of emails) {
+    const types = sessionTypes.get(email);
+    const sessionType = duration ? types.find((type) => type.duration_minutes === duration) : types[0];
+    if (!sessionType) continue;
+
+    const bookings = bookingsResult.rows.filter((booking) => booking.speaker_email === email);
+    const slots = getSlotsBetween(schedules.get(email), from, to, sessionType)
+      .map((slot) => slot.start)
+      .filter((start) => !overlapsBookings(bookings, start, sessionType));
+    freeSlots.set(email, { sessionType, slots });
+  }
+  return freeSlots;
+}
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_HOURS,
+  DEFAULT_SLOT_LENGTH,
+  getSchedules,
+  getSchedule,
+  getDaySlots,
+  getSlotsBetween,
+  isBookable,
+  overlapsBookings,
+  getFreeSlots,
+};
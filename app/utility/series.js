@@ -0,0 +1,89 @@
+const { getZonedParts, zonedTimeToUtc } = require('./datetime');
+const { formatIcsDate } = require('./ics');
+
+const MAX_SERIES_OCCURRENCES = 52;
+
+// Weeks between sessions of each series frequency
+const SERIES_FREQUENCIES = {
+  weekly: 1,
+  biweekly: 2,
+};
+
+// Session starts of a series, every interval_weeks at the wall clock time of the first session
+// in the series' time zone, so sessions stay at the same local time across daylight saving changes
+function getOccurrenceDates({ first_session_date, interval_weeks, occurrences, time_zone }) {
+  const first = getZonedParts(new Date(first_session_date), time_zone);
+  const dates = [];
+  for (let i = 0; i < occurrences; i++) {
+    dates.push(zonedTimeToUtc({ ...first, day: first.day + i * 7 * interval_weeks }, time_zone));
+  }
+  return dates;
+}
+
+// Number of sessions of a series starting at firstDate that start on or before until
+function countOccurrencesUntil(firstDate, intervalWeeks, until, timeZone) {
+  const dates = getOccurrenceDates({
+    first_session_date: firstDate,
+    interval_weeks: intervalWeeks,
+    occurrences: MAX_SERIES_OCCURRENCES,
+    time_zone: timeZone,
+  });
+  return dates.filter((date) => date <= until).length;
+}
+
+// Whether a booking is one of the sessions of its series' recurring event: not rescheduled away from its slot
+function isInSeriesEvent(booking) {
+  return Boolean(
+    booking.series_id &&
+    booking.series_occurrence &&
+    new Date(booking.series_occurrence).getTime() === new Date(booking.session_date).getTime()
+  );
+}
+
+// Session starts of a series that none of its active bookings takes, because they were skipped,
+// cancelled or rescheduled
+function getExcludedDates(series, bookings) {
+  const taken = new Set(
+    bookings.filter((booking) => !booking.cancelled_at && isInSeriesEvent(booking)).map((booking) => new Date(booking.session_date).getTime())
+  );
+  return getOccurrenceDates(series).filter((date) => !taken.has(date.getTime()));
+}
+
+// RRULE and EXDATE lines of the recurring event of a series, as used by iCalendar and Google Calendar
+function getSeriesRecurrence(series, bookings) {
+  const recurrence = [`RRULE:FREQ=WEEKLY;INTERVAL=${series.interval_weeks};COUNT=${series.occurrences}`];
+  const excluded = getExcludedDates(series, bookings);
+  if (excluded.length > 0) {
+    recurrence.push(`EXDATE:${excluded.map(formatIcsDate).join(',')}`);
+  }
+  return recurrence;
+}
+
+// The first session of a series, in the shape of a booking, as the base of its recurring event
+function getSeriesEvent(series, bookings) {
+  const { session_date, session_end } = bookings[0];
+  const duration = new Date(session_end) - new Date(session_date);
+  const start = new Date(series.first_session_date);
+  return {
+    id: null,
+    series_id: series.id,
+    user_email: series.user_email,
+    speaker_email: series.speaker_email,
+    session_type_id: series.session_type_id,
+    session_date: start,
+    session_end: new Date(start.getTime() + duration),
+    meeting_provider: bookings[0].meeting_provider,
+    meeting_url: bookings[0].meeting_url,
+  };
+}
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  SERIES_FREQUENCIES,
+  getOccurrenceDates,
+  countOccurrencesUntil,
+  isInSeriesEvent,
+  getExcludedDates,
+  getSeriesRecurrence,
+  getSeriesEvent,
+};
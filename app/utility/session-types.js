@@ -0,0 +1,70 @@
+const pool = require('./db');
+
+// Session offered by speakers who have not defined their own session types
+const DEFAULT_DURATION = 60;
+
+// Loads the active session types of each speaker, keyed by email and sorted from shortest to longest
+async function getSessionTypes(emails) {
+  const typesResult = await pool.query(
+    `SELECT u.email AS speaker_email, u.price_per_session, t.id, t.name, t.duration_minutes, t.price, t.buffer_minutes
+     FROM users_js u
+     LEFT JOIN session_types t ON t.speaker_email = u.email AND t.archived_at IS NULL
+     WHERE u.email = ANY($1)
+     ORDER BY t.duration_minutes, t.id`,
+    [emails]
+  );
+
+  const sessionTypes = new Map();
+  for (const row of typesResult.rows) {
+    if (!sessionTypes.has(row.speaker_email)) {
+      sessionTypes.set(row.speaker_email, []);
+    }
+
+    if (row.id === null) {
+      // Single one-hour session at the speaker's profile price
+      sessionTypes.get(row.speaker_email).push({
+        id: null,
+        name: 'Session',
+        duration_minutes: DEFAULT_DURATION,
+        price: row.price_per_session,
+        buffer_minutes: 0,
+      });
+    } else {
+      sessionTypes.get(row.speaker_email).push({
+        id: row.id,
+        name: row.name,
+        duration_minutes: row.duration_minutes,
+        price: row.price,
+        buffer_minutes: row.buffer_minutes,
+      });
+    }
+  }
+  return sessionTypes;
+}
+
+// Finds a session type of a speaker by id, or the shortest one when no id is given
+async function findSessionType(email, id) {
+  const sessionTypes = await getSessionTypes([email]);
+  const types = sessionTypes.get(email) || [];
+  if (id === undefined || id === null) {
+    return types[0] || null;
+  }
+  return types.find((type) => type.id === Number(id)) || null;
+}
+
+function getSessionEnd(start, sessionType) {
+  return new Date(start.getTime() + sessionType.duration_minutes * 60 * 1000);
+}
+
+// End of the session plus the buffer the speaker keeps free after it
+function getBlockedUntil(start, sessionType) {
+  return new Date(start.getTime() + (sessionType.duration_minutes + sessionType.buffer_minutes) * 60 * 1000);
+}
+
+module.exports = {
+  DEFAULT_DURATION,
+  getSessionTypes,
+  findSessionType,
+  getSessionEnd,
+  getBlockedUntil,
+};
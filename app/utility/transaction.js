@@ -0,0 +1,25 @@
+const pool = require('./db');
+
+// Postgres error raised when a row breaks an EXCLUDE constraint, e.g. two overlapping bookings
+const EXCLUSION_VIOLATION = '23P01';
+
+// Runs the callback with a client inside BEGIN / COMMIT, rolling back if it throws
+async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  EXCLUSION_VIOLATION,
+  withTransaction,
+};
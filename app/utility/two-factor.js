@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const pool = require('./db');
+require('dotenv').config();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'PA Assgn';
+const TOTP_STEP_SECONDS = 30;
+
+// Codes one step either side of now are accepted, to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const BACKUP_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+// New secret for an account and the otpauth:// URI that authenticator apps scan
+function generateSecret(email) {
+  const secret = speakeasy.generateSecret({ length: 20 });
+  const otpauthUrl = speakeasy.otpauthURL({
+    secret: secret.base32,
+    encoding: 'base32',
+    label: encodeURIComponent(`${TOTP_ISSUER}:${email}`),
+    issuer: TOTP_ISSUER,
+  });
+  return { secret: secret.base32, otpauthUrl };
+}
+
+// Time step a code belongs to, or null if it is not valid for the secret now
+function getTotpStep(secret, code) {
+  const result = speakeasy.totp.verifyDelta({
+    secret,
+    encoding: 'base32',
+    token: String(code),
+    window: TOTP_WINDOW,
+  });
+  if (!result) {
+    return null;
+  }
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + result.delta;
+}
+
+// Checks a TOTP code of the account and records its step, so the same code cannot be used twice
+async function verifyTotp(db, user, code) {
+  const step = getTotpStep(user.totp_secret, code);
+  if (step === null) {
+    return false;
+  }
+  const stepResult = await db.query(
+    'UPDATE users_js SET totp_last_step = $1 WHERE email = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)',
+    [step, user.email]
+  );
+  return stepResult.rowCount > 0;
+}
+
+function normalizeBackupCode(code) {
+  return String(code).replace(/[\s-]/g, '').toLowerCase();
+}
+
+function hashBackupCode(code) {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+}
+
+// Replaces the account's backup codes. Returns the new codes, e.g. "3f9a-1c07", which are only shown once.
+async function createBackupCodes(db, email) {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+  await db.query('DELETE FROM backup_codes WHERE user_email = $1', [email]);
+  for (const code of codes) {
+    await db.query('INSERT INTO backup_codes (user_email, code_hash) VALUES ($1, $2)', [email, hashBackupCode(code)]);
+  }
+  return codes;
+}
+
+// Uses up a backup code. Returns false if the account has no such unused code.
+async function useBackupCode(db, email, code) {
+  const useResult = await db.query(
+    'UPDATE backup_codes SET used_at = NOW() WHERE user_email = $1 AND code_hash = $2 AND used_at IS NULL',
+    [email, hashBackupCode(code)]
+  );
+  return useResult.rowCount > 0;
+}
+
+// Checks the second factor of an account with 2FA on: a TOTP code or an unused backup code.
+// Wrong codes count towards a lock. Returns { valid: true } or { status, error }.
+async function verifySecondFactor(user, code) {
+  if (user.totp_locked_until && new Date(user.totp_locked_until) > new Date()) {
+    return { status: 429, error: 'Too many incorrect codes. Try again later.' };
+  }
+
+  const valid = Boolean(code) && ((await verifyTotp(pool, user, code)) || (await useBackupCode(pool, user.email, code)));
+  if (!valid) {
+    await pool.query(
+      `UPDATE users_js SET
+         totp_failed_attempts = totp_failed_attempts + 1,
+         totp_locked_until = CASE WHEN totp_failed_attempts + 1 >= $2 THEN NOW() + $3 * INTERVAL '1 minute' END
+       WHERE email = $1`,
+      [user.email, MAX_FAILED_ATTEMPTS, LOCK_MINUTES]
+    );
+    return { status: 400, error: 'Invalid authentication code' };
+  }
+
+  await pool.query('UPDATE users_js SET totp_failed_attempts = 0, totp_locked_until = NULL WHERE email = $1', [user.email]);
+  return { valid: true };
+}
+
+module.exports = {
+  generateSecret,
+  verifyTotp,
+  createBackupCodes,
+  verifySecondFactor,
+};
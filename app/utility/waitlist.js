@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const pool = require('./db');
+const { enqueue } = require('./outbox');
+const { EXCLUSION_VIOLATION, withTransaction } = require('./transaction');
+const { deleteExpiredHolds } = require('./holds');
+const { isBookable, getSchedule, getSlotsBetween, overlapsBookings } = require('./schedule');
+const { findSessionType, getSessionEnd, getBlockedUntil } = require('./session-types');
+const { formatDate, formatInZone, formatReadable } = require('./datetime');
+const { renderTemplate } = require('../notifications/templates');
+require('dotenv').config();
+
+// Minutes an offered slot stays held for the waitlisted user before it goes to the next one
+const WAITLIST_CLAIM_MINUTES = Number(process.env.WAITLIST_CLAIM_MINUTES) || 30;
+
+const POLL_SECONDS = Number(process.env.WAITLIST_POLL_SECONDS) || 60;
+
+const APP_URL = process.env.APP_URL || 'http://localhost:10000';
+
+// Claim links carry a random token, only its hash is stored
+function hashClaimToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Upcoming bookings, live holds and unpaid bookings within their payment deadline of a speaker
+async function getActiveBookings(db, speakerEmail) {
+  const bookingsResult = await db.query(
+    `SELECT session_date, blocked_until FROM bookings
+     WHERE speaker_email = $1 AND blocked_until > NOW()
+       AND cancelled_at IS NULL AND (hold_expires_at IS NULL OR hold_expires_at > NOW())`,
+    [speakerEmail]
+  );
+  return bookingsResult.rows;
+}
+
+// First free start for a waitlist entry: its slot, or the first slot of its day the speaker's
+// schedule and bookings allow. Returns null when there is none.
+function findFreeSlot(entry, schedule, sessionType, bookings) {
+  const starts = entry.slot_start
+    ? [new Date(entry.slot_start)].filter((start) => isBookable(schedule, start, sessionType))
+    : getSlotsBetween(schedule, new Date(entry.day_start), new Date(entry.day_end), sessionType).map((slot) => slot.start);
+
+  const now = new Date();
+  return starts.find((start) => start > now && !overlapsBookings(bookings, start, sessionType)) || null;
+}
+
+// Queues the email with the claim link of an offered slot, with times in the entry's time zone
+async function enqueueOffer(client, entry, hold, sessionType, token) {
+  const speakerResult = await client.query('SELECT COALESCE(display_name, email) AS speaker_name FROM users_js WHERE email = $1', [hold.speaker_email]);
+  const sessionDate = new Date(hold.session_date);
+
+  const content = renderTemplate('waitlist-offer', {
+    speaker_name: speakerResult.rows[0] ? speakerResult.rows[0].speaker_name : hold.speaker_email,
+    session_type: sessionType.name,
+    local_time: formatReadable(sessionDate, entry.time_zone),
+    duration_minutes: Math.round((new Date(hold.session_end) - sessionDate) / 60000),
+    expires_local_time: formatReadable(new Date(hold.hold_expires_at), entry.time_zone),
+    claim_url: `${APP_URL}/waitlist/claim/${token}`,
+  });
+  await enqueue(client, 'email', { to: entry.user_email, ...content });
+}
+
+// Offers the speaker's free slots to the oldest waiting entries that want them. Each offer holds the
+// slot for the user until the claim deadline and emails them a claim link. Called in the transaction
+// that frees a slot, so nobody else can book it in between. Returns the number of offers made.
+async function offerFreedSlots(client, speakerEmail) {
+  const entriesResult = await client.query(
+    `SELECT * FROM waitlist_entries
+     WHERE speaker_email = $1 AND status = 'waiting' AND COALESCE(slot_start, day_end) > NOW()
+     ORDER BY created_at, id
+     FOR UPDATE SKIP LOCKED`,
+    [speakerEmail]
+  );
+  if (entriesResult.rows.length === 0) {
+    return 0;
+  }
+
+  await deleteExpiredHolds(client, speakerEmail);
+  const schedule = await getSchedule(speakerEmail);
+  const bookings = await getActiveBookings(client, speakerEmail);
+
+  let offers = 0;
+  for (const entry of entriesResult.rows) {
+    const sessionType = await findSessionType(speakerEmail, entry.session_type_id);
+    const start = sessionType && findFreeSlot(entry, schedule, sessionType, bookings);
+    if (!start) continue;
+
+    // Hold the slot for the user, the overlap check is part of the insert
+    const expiresAt = new Date(Date.now() + WAITLIST_CLAIM_MINUTES * 60 * 1000);
+    await client.query('SAVEPOINT waitlist_offer');
+    let hold;
+    try {
+      const holdResult = await client.query(
+        `INSERT INTO bookings (user_email, speaker_email, session_date, session_end, blocked_until, session_type_id, status, hold_expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, 'held', $7) RETURNING *`,
+        [entry.user_email, speakerEmail, start, getSessionEnd(start, sessionType), getBlockedUntil(start, sessionType), sessionType.id, expiresAt]
+      );
+      hold = holdResult.rows[0];
+    } catch (error) {
+      if (error.code !== EXCLUSION_VIOLATION) throw error;
+      await client.query('ROLLBACK TO SAVEPOINT waitlist_offer');
+      continue;
+    }
+    bookings.push(hold);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await client.query(
+      `UPDATE waitlist_entries SET status = 'offered', hold_id = $1, claim_token_hash = $2, offered_at = NOW(), offer_expires_at = $3
+       WHERE id = $4`,
+      [hold.id, hashClaimToken(token), expiresAt, entry.id]
+    );
+    await enqueueOffer(client, entry, hold, sessionType, token);
+    offers++;
+  }
+  return offers;
+}
+
+// Offers past their deadline make way for the next in line. Holds confirmed through book-session
+// count as claimed. Entries for slots or days that have passed are closed.
+async function closeExpiredEntries() {
+  await pool.query(
+    `UPDATE waitlist_entries w
+     SET status = CASE WHEN EXISTS (SELECT 1 FROM bookings b WHERE b.id = w.hold_id AND b.status <> 'held') THEN 'claimed' ELSE 'expired' END
+     WHERE w.status = 'offered' AND w.offer_expires_at <= NOW()`
+  );
+  await pool.query(
+    "UPDATE waitlist_entries SET status = 'expired' WHERE status = 'waiting' AND COALESCE(slot_start, day_end) <= NOW()"
+  );
+}
+
+// Closes expired entries and offers free slots to the ones still waiting, one speaker at a time.
+// This also catches slots freed by expired holds and failed payments.
+async function processWaitlist() {
+  await closeExpiredEntries();
+
+  const speakersResult = await pool.query("SELECT DISTINCT speaker_email FROM waitlist_entries WHERE status = 'waiting'");
+  let offers = 0;
+  for (const { speaker_email } of speakersResult.rows) {
+    offers += await withTransaction((client) => offerFreedSlots(client, speaker_email));
+  }
+  return offers;
+}
+
+// Moves the waitlist on in the background of the server process
+function startWaitlistScheduler() {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processWaitlist();
+    } catch (error) {
+      console.error('Waitlist scheduler failed', error);
+    } finally {
+      running = false;
+    }
+  }, POLL_SECONDS * 1000);
+}
+
+function serializeWaitlistEntry(entry) {
+  return {
+    id: entry.id,
+    speaker_email: entry.speaker_email,
+    session_type_id: entry.session_type_id,
+    session_date: entry.slot_start ? formatInZone(new Date(entry.slot_start), entry.time_zone) : null,
+    date: entry.day_start ? formatInZone(new Date(entry.day_start), entry.time_zone).slice(0, 10) : null,
+    time_zone: entry.time_zone,
+    status: entry.status,
+    offer_expires_at: entry.status === 'offered' ? formatDate(new Date(entry.offer_expires_at)) : null,
+    created_at: formatDate(new Date(entry.created_at)),
+  };
+}
+
+module.exports = {
+  WAITLIST_CLAIM_MINUTES,
+  hashClaimToken,
+  getActiveBookings,
+  findFreeSlot,
+  offerFreedSlots,
+  processWaitlist,
+  startWaitlistScheduler,
+  serializeWaitlistEntry,
+};